@@ -1,18 +1,32 @@
-export {Clock, RunToCycleLimitExceededError, InvalidRunToTimeError} from "./physics/timing/clock.mjs"
+export {Clock, RunToCycleLimitExceededError, InvalidRunToTimeError, InvalidCheckpointError, InvalidTimeScaleError, ClockCycleError} from "./physics/timing/clock.mjs"
+export {ClockCheckpoint} from "./physics/timing/checkpoint.mjs"
+export {RunToDiagnostics} from "./physics/timing/diagnostics.mjs"
 export {ClockEvent} from "./physics/timing/event.mjs"
+export {Timer} from "./physics/timing/timer.mjs"
 export {schedule, cancel, scheduleLoop, cancelLoop} from "./tools/timing-helpers.mjs"
+export {until, delay, nextCollision} from "./physics/timing/waits.mjs"
+export {Script, runScript, InvalidWaitError} from "./tools/scripts.mjs"
 
 export {PhysicsObject} from "./physics/physics-object.mjs"
+export {World, DuplicateIdError, ForeignClockError} from "./physics/world.mjs"
+export {saveWorld, loadWorld, UnregisteredCallbackError, UntrackedReferenceError} from "./tools/snapshot.mjs"
 
 export {Geometry} from "./physics/geometry/geometry.mjs"
 export {Vertex} from "./physics/geometry/vertex.mjs"
 export {Edge} from "./physics/geometry/edge.mjs"
 export {GeometryBuilder} from "./tools/geometry-builder.mjs"
 
-export {Trajectory} from "./physics/trajectory.mjs"
+export {Trajectory, TrajectoryCycleError, CompositionDegreeError, HistoryUnavailableError} from "./physics/trajectory.mjs"
+export {KeyframeTrajectory, InvalidKeyframesError} from "./physics/keyframe-trajectory.mjs"
+export {PathTrajectory, InvalidPathError} from "./physics/path-trajectory.mjs"
+export {bezierPoints, catmullRomPoints} from "./tools/paths.mjs"
 
 export {CollisionGroup, collisionGroups} from "./physics/collisions/collision-group.mjs"
 export {CollisionRule} from "./physics/collisions/collision-rule.mjs"
 export {ToleranceProfile} from "./physics/collisions/tolerance-profile.mjs"
+export {CollisionEvent} from "./physics/collisions/collision-event.mjs"
+export {upcomingCollisions} from "./tools/lookahead.mjs"
+export {predictPath} from "./tools/prediction.mjs"
 
-export {DebugRenderer} from "./tools/debug-renderer.mjs"
\ No newline at end of file
+export {DebugRenderer} from "./tools/debug-renderer.mjs"
+export {RealTimeDriver} from "./tools/real-time-driver.mjs"
\ No newline at end of file
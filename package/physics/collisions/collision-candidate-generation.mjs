@@ -1,5 +1,6 @@
-import {ClockEvent} from "../timing/event.mjs"
+import {CollisionEvent} from "./collision-event.mjs"
 import {vertexEdge} from "./vertex-edge-collision.mjs"
+import {evaluate, roots} from "../../util/polynomial.mjs"
 
 /**
  *
@@ -22,15 +23,15 @@ class CollisionCandidate {
      * @param {number} now
      */
     calculateExact(now){
+        this.a.journalCollisions()
+        this.b.journalCollisions()
 
-        /** @type {Array<ClockEvent>} */
+        /** @type {Array<CollisionEvent>} */
         const events = []
         const createEvents = (collisions) => {
             for(const collision of collisions){
                 if(collision.time < now) continue
-                const event = new ClockEvent(collision.time, () => {
-                    this.collisionRule.callback(collision)
-                })
+                const event = new CollisionEvent(collision, this.collisionRule)
                 this.a.relevantEvents.push(event)
                 this.b.relevantEvents.push(event)
                 events.push(event)
@@ -58,6 +59,7 @@ class CollisionCandidate {
  */
 function generateCollisionCandidates(a, b, now, collisionRule){
     if(a == b) return null
+    if(a.trajectory.accelerating || b.trajectory.accelerating) return generateAcceleratingCandidate(a, b, now, collisionRule)
 
     /**
      * @param {PhysicsObject} obj
@@ -151,4 +153,135 @@ function generateCollisionCandidates(a, b, now, collisionRule){
     return new CollisionCandidate(a, b, now + min, collisionRule)
 }
 
+/**
+ * Generates a collision candidate between two objects, at least one of which is accelerating.
+ *
+ * The boxes bounding each object grow quadratically over time, so overlap is found by root finding rather than by solving linear inequalities.
+ *
+ * @param {PhysicsObject} a
+ * @param {PhysicsObject} b
+ * @param {number} now
+ * @param {CollisionRule} collisionRule
+ * @returns {null | CollisionCandidate}
+ */
+function generateAcceleratingCandidate(a, b, now, collisionRule){
+    /**
+     * Bounds the box containing the object over time, as the box at the present plus a box of velocities times t,
+     * plus a box of half-accelerations times t squared.
+     *
+     * @param {PhysicsObject} obj
+     */
+    function generateBox(obj){
+        const
+            {minX: vMinX, maxX: vMaxX, minY: vMinY, maxY: vMaxY} = obj.geometry,
+            {base, motion, acceleration} = obj.trajectory,
+            dt = now - obj.trajectory.time,
+
+            // the present transform, motion, and half-acceleration, as [ax, ay, bx, by, px, py]
+            position = Array.from(base.arr, (component, i) => component + motion.arr[i] * dt + acceleration.arr[i] * dt ** 2 / 2),
+            velocity = Array.from(motion.arr, (component, i) => component + acceleration.arr[i] * dt),
+            halfAcceleration = Array.from(acceleration.arr, component => component / 2)
+
+        /**
+         * @param {Array<number>} tr
+         * @returns {Array<number>} The min x, max x, min y, and max y of the corners of the geometry's bounds under the transform.
+         */
+        function corners([ax, ay, bx, by, px, py]){
+            const
+                x0 = ax * vMinX + bx * vMinY + px,
+                y0 = ay * vMinX + by * vMinY + py,
+                x1 = ax * vMaxX + bx * vMinY + px,
+                y1 = ay * vMaxX + by * vMinY + py,
+                x2 = ax * vMinX + bx * vMaxY + px,
+                y2 = ay * vMinX + by * vMaxY + py,
+                x3 = ax * vMaxX + bx * vMaxY + px,
+                y3 = ay * vMaxX + by * vMaxY + py
+            return [
+                Math.min(x0, x1, x2, x3), Math.max(x0, x1, x2, x3),
+                Math.min(y0, y1, y2, y3), Math.max(y0, y1, y2, y3),
+            ]
+        }
+
+        const
+            [pMinX, pMaxX, pMinY, pMaxY] = corners(position),
+            [velMinX, velMaxX, velMinY, velMaxY] = corners(velocity),
+            [accMinX, accMaxX, accMinY, accMaxY] = corners(halfAcceleration)
+        return [
+            pMinX, velMinX, accMinX,
+            pMaxX, velMaxX, accMaxX,
+            pMinY, velMinY, accMinY,
+            pMaxY, velMaxY, accMaxY,
+        ]
+    }
+
+    const
+        [
+            al, alv, ala, ar, arv, ara,
+            ab, abv, aba, at, atv, ata,
+        ] = generateBox(a),
+        [
+            bl, blv, bla, br, brv, bra,
+            bb, bbv, bba, bt, btv, bta,
+        ] = generateBox(b)
+
+    /**
+     * The ranges of time, relative to now, during which the boxes may overlap.
+     *
+     * @type {Array<[number, number]>}
+     */
+    let ranges = [[0, Infinity]]
+
+    /**
+     * Constrains the ranges such that 0 <= q * t^2 + m * t + b.
+     * @param {number} q
+     * @param {number} m
+     * @param {number} b
+     */
+    function constrain(q, m, b){
+        const
+            poly = [b, m, q],
+            found = roots(poly, 0, Infinity),
+            bounds = [0, ...found, Infinity],
+            /** @type {Array<[number, number]>} */
+            allowed = found.map(root => [root, root])
+
+        for(let i = 0; i < bounds.length - 1; i++){
+            const
+                lo = bounds[i],
+                hi = bounds[i + 1],
+                sample = hi == Infinity ? 2 * lo + 1 : (lo + hi) / 2
+            if(0 <= evaluate(poly, sample)) allowed.push([lo, hi])
+        }
+
+        const constrained = []
+        for(const [lo, hi] of allowed){
+            for(const [rangeLo, rangeHi] of ranges){
+                const
+                    start = Math.max(lo, rangeLo),
+                    end = Math.min(hi, rangeHi)
+                if(start <= end) constrained.push([start, end])
+            }
+        }
+        ranges = constrained
+    }
+
+    // al + alv * t + ala * t^2 <= br + brv * t + bra * t^2
+    constrain(bra - ala, brv - alv, br - al)
+
+    // bl + blv * t + bla * t^2 <= ar + arv * t + ara * t^2
+    constrain(ara - bla, arv - blv, ar - bl)
+
+    // ab + abv * t + aba * t^2 <= bt + btv * t + bta * t^2
+    constrain(bta - aba, btv - abv, bt - ab)
+
+    // bb + bbv * t + bba * t^2 <= at + atv * t + ata * t^2
+    constrain(ata - bba, atv - bbv, at - bb)
+
+    if(ranges.length == 0) return null
+
+    const min = Math.min(...ranges.map(([lo]) => lo))
+
+    return new CollisionCandidate(a, b, now + min, collisionRule)
+}
+
 export {generateCollisionCandidates}
\ No newline at end of file
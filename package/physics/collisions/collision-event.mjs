@@ -0,0 +1,78 @@
+import {ClockEvent} from "../timing/event.mjs"
+
+/**
+ * A {@link ClockEvent} which executes a collision.
+ *
+ * Collision events are scheduled by the collision system whenever collisions are calculated for an object.
+ * Unlike ordinary events, they expose the collision they will execute and the rule which produced it.
+ *
+ * Collision events are invalidated whenever either object's collisions are recalculated.
+ */
+class CollisionEvent extends ClockEvent {
+    /**
+     * The collision which will be passed to the rule's callback.
+     *
+     * This should not be modified.
+     *
+     * @type {Collision}
+     */
+    collision
+    /**
+     * The collision rule which produced this collision.
+     *
+     * @type {CollisionRule}
+     */
+    collisionRule
+
+    /**
+     * Constructs a collision event.
+     *
+     * This constructor is used internally by the collision system and should not be called directly.
+     *
+     * @param {Collision} collision
+     * @param {CollisionRule} collisionRule
+     */
+    constructor(collision, collisionRule){
+        super(collision.time, () => {
+            collisionRule.callback(collision)
+            collision.objA.notifyCollision(collision, collisionRule)
+            collision.objB.notifyCollision(collision, collisionRule)
+        })
+        this.collision = collision
+        this.collisionRule = collisionRule
+    }
+
+    /**
+     * The two objects involved in the collision.
+     *
+     * @returns {Array<PhysicsObject>}
+     */
+    get objects(){
+        return [this.collision.objA, this.collision.objB]
+    }
+
+    /**
+     * Shifts this event's time, along with its collision's, back by an offset when its clock is rebased.
+     *
+     * This method is used internally by the clock and should not be called directly.
+     * Instead, use {@link Clock#rebase}.
+     *
+     * @param {number} offset
+     */
+    rebase(offset){
+        super.rebase(offset)
+        this.collision.time -= offset
+    }
+
+    /**
+     * Returns whether an object is involved in this collision.
+     *
+     * @param {PhysicsObject} object
+     * @returns {boolean}
+     */
+    involves(object){
+        return this.collision.objA == object || this.collision.objB == object
+    }
+}
+
+export {CollisionEvent}
\ No newline at end of file
@@ -1,3 +1,5 @@
+import {copyV2} from "../../util/float64.mjs"
+
 /**
  * Contains information about a collision between two objects and assists in resolving the collision.
  *
@@ -97,15 +99,15 @@ class Collision {
      */
     resolve(additionalVel = 0, restitutionCoefficient = 1, weightA = 0, weightB = 1){
         const
-            perpDir = this.tangent.xy.perp().normalize(),
-            perpVel = this.relVel.xy.project(perpDir).addScaled(perpDir, additionalVel)
+            perpDir = copyV2(this.tangent).perp().normalize(),
+            perpVel = copyV2(this.relVel).project(perpDir).addScaled(perpDir, additionalVel)
 
         if(weightB != 0) {
-            const impulseA = perpVel.xy.scale((1 + restitutionCoefficient) * weightB / (weightA + weightB))
+            const impulseA = copyV2(perpVel).scale((1 + restitutionCoefficient) * weightB / (weightA + weightB))
             this.objA.trajectory.impulse(impulseA)
         }
         if(weightA != 0){
-            const impulseB = perpVel.xy.scale(-(1 + restitutionCoefficient) * weightA / (weightA + weightB))
+            const impulseB = copyV2(perpVel).scale(-(1 + restitutionCoefficient) * weightA / (weightA + weightB))
             this.objB.trajectory.impulse(impulseB)
         }
     }
@@ -117,7 +119,7 @@ class Collision {
      * @returns {V2}
      */
     weightedVel(weightA = 0, weightB = 1){
-        return this.vel.xy.addScaled(this.relVel, weightB / (weightA + weightB))
+        return copyV2(this.vel).addScaled(this.relVel, weightB / (weightA + weightB))
     }
 }
 
@@ -1,30 +1,32 @@
 import {Collision} from "./collision.mjs"
 import {V2} from "@darcyvilkner/2d-geometry"
 import {Transform} from "@darcyvilkner/2d-geometry"
+import {copyV2, float64Transform, float64V2} from "../../util/float64.mjs"
+import {increasingRoots} from "../../util/polynomial.mjs"
 
-const
-    v0 = V2.zero(),
-    v1 = V2.zero(),
-    v2 = V2.zero(),
-    v3 = V2.zero(),
-    v4 = V2.zero(),
-    v5 = V2.zero(),
-    v6 = V2.zero(),
-    v7 = V2.zero(),
-    v8 = V2.zero(),
-    v9 = V2.zero(),
-    v10 = V2.zero(),
-    v11 = V2.zero(),
-    v12 = V2.zero(),
-    v13 = V2.zero(),
-    v14 = V2.zero(),
-    v15 = V2.zero()
+/**
+ * Creates the temporary vectors and transforms used by {@link vertexEdge}.
+ *
+ * @param {function(): V2} vector
+ * @param {function(): Transform} transform
+ */
+function temporaries(vector, transform){
+    return {
+        vs: Array.from({length: 22}, vector),
+        trs: [transform(), transform(), transform()],
+    }
+}
 
 const
-    tr0 = Transform.zero(),
-    tr1 = Transform.zero()
+    float32Temporaries = temporaries(V2.zero, Transform.zero),
+    float64Temporaries = temporaries(float64V2, float64Transform)
 
 /**
+ * Finds the collisions of the vertices of one object with the edges of another.
+ *
+ * Relative to the edge, the position of a vertex is quadratic in time, so whether it is on the edge's line is given by a polynomial of degree four.
+ * Without acceleration, the polynomial is only quadratic.
+ *
  * @param {PhysicsObject} edgeObj
  * @param {PhysicsObject} vertexObj
  * @param {boolean} invert
@@ -33,42 +35,51 @@ const
  */
 function vertexEdge(edgeObj, vertexObj, invert, now, toleranceProfile){
     const
+        float64 = edgeObj.trajectory.float64 || vertexObj.trajectory.float64 || edgeObj.geometry.float64 || vertexObj.geometry.float64,
+        {
+            vs: [v0, v1, v2, v3, v4, v5, v6, v7, v8, v9, v10, v11, v12, v13, v14, v15, v16, v17, v18, v19, v20, v21],
+            trs: [tr0, tr1, tr2],
+        } = float64 ? float64Temporaries : float32Temporaries,
+
         invertScl = (1 - 2 * invert),
         baseTime = vertexObj.trajectory.time,
         edgeTime = baseTime - edgeObj.trajectory.time,
         eTr = edgeObj.trajectory,
-        vTr = vertexObj.trajectory
+        vTr = vertexObj.trajectory,
+        accelerating = eTr.accelerating || vTr.accelerating
 
     /** @type {Array<Collision>} */
     const collisions = []
     for(const vertex of vertexObj.geometry.vertices){
         for(const edge of edgeObj.geometry.edges){
 
+            // each quantity q is represented as q[p] + q[v] * t + q[a] * t ** 2, so the [a] terms are half the acceleration
             const
-                e0av = eTr.motion.applyVec(edge.p0, v0),
-                e0ap = eTr.base.applyVec(edge.p0, v1).addScaled(e0av, edgeTime),
-                e1av = eTr.motion.applyVec(edge.p1, v2),
-                e1ap = eTr.base.applyVec(edge.p1, v3).addScaled(e1av, edgeTime),
+                e0aa = eTr.acceleration.applyVec(edge.p0, v16).scale(0.5),
+                e0av = eTr.motion.applyVec(edge.p0, v0).addScaled(e0aa, 2 * edgeTime),
+                e0ap = eTr.base.applyVec(edge.p0, v1).addScaled(eTr.motion.applyVec(edge.p0, v10), edgeTime).addScaled(e0aa, edgeTime ** 2),
+                e1aa = eTr.acceleration.applyVec(edge.p1, v17).scale(0.5),
+                e1av = eTr.motion.applyVec(edge.p1, v2).addScaled(e1aa, 2 * edgeTime),
+                e1ap = eTr.base.applyVec(edge.p1, v3).addScaled(eTr.motion.applyVec(edge.p1, v10), edgeTime).addScaled(e1aa, edgeTime ** 2),
                 vap = vTr.base.applyVec(vertex.p, v4),
                 vav = vTr.motion.applyVec(vertex.p, v5),
+                vaa = vTr.acceleration.applyVec(vertex.p, v18).scale(0.5),
                 v0p = vTr.base.applyAffineVec(vertex.t0, v6),
                 v0v = vTr.motion.applyAffineVec(vertex.t0, v7),
+                v0a = vTr.acceleration.applyAffineVec(vertex.t0, v19).scale(0.5),
                 v1p = vTr.base.applyAffineVec(vertex.t1, v8),
                 v1v = vTr.motion.applyAffineVec(vertex.t1, v9),
+                v1a = vTr.acceleration.applyAffineVec(vertex.t1, v20).scale(0.5),
+                ea = e1aa.sub(e0aa), // expire e1aa
                 ev = e1av.sub(e0av), // expire e1av
                 ep = e1ap.sub(e0ap), // expire e1ap
+                va = e0aa.negate().add(vaa), // expire e0aa
                 vv = e0av.negate().add(vav), // expire e0av
                 vp = e0ap.negate().add(vap), // expire e0ap
 
-                // comes from expanding (ev * t + ep) cross (vv * t + vp)
-                a = ev.cross(vv),
-                b = ep.cross(vv) + ev.cross(vp),
-                c = ep.cross(vp),
-                disc = b ** 2 - 4 * a * c,
-
                 nowRel = now - baseTime,
-                epNow = v10.set(ep).addScaled(ev, nowRel),
-                vpNow = v11.set(vp).addScaled(vv, nowRel)
+                epNow = v10.set(ep).addScaled(ev, nowRel).addScaled(ea, nowRel ** 2),
+                vpNow = v11.set(vp).addScaled(vv, nowRel).addScaled(va, nowRel ** 2)
 
             if(Math.abs(epNow.cross(vpNow)) <= epNow.mag * toleranceProfile.closeCollisionThresh){ // expire epNow and vpNow
                 const collision = collisionAtTime(nowRel)
@@ -77,7 +88,32 @@ function vertexEdge(edgeObj, vertexObj, invert, now, toleranceProfile){
                 }
             }
 
+            if(accelerating){
+                // comes from expanding (ea * t^2 + ev * t + ep) cross (va * t^2 + vv * t + vp)
+                const poly = [
+                    ep.cross(vp),
+                    ep.cross(vv) + ev.cross(vp),
+                    ep.cross(va) + ev.cross(vv) + ea.cross(vp),
+                    ev.cross(va) + ea.cross(vv),
+                    ea.cross(va),
+                ]
+
+                // only take the collisions that go from negative to positive.
+                for(const t of increasingRoots(poly)){
+                    const collision = collisionAtTime(t)
+                    if(collision) collisions.push(collision)
+                }
 
+                continue
+            }
+
+            // without acceleration, the quadratic is solved directly, which is much faster
+            // comes from expanding (ev * t + ep) cross (vv * t + vp)
+            const
+                a = ev.cross(vv),
+                b = ep.cross(vv) + ev.cross(vp),
+                c = ep.cross(vp),
+                disc = b ** 2 - 4 * a * c
 
             if(Math.abs(a) == 0){
                 // only take the collision if it goes from negative to positive.
@@ -93,19 +129,20 @@ function vertexEdge(edgeObj, vertexObj, invert, now, toleranceProfile){
 
             // only take the collision that goes from negative to positive.
             const collision = collisionAtTime(2 * c / (-b - Math.sqrt(disc)))
-
-
             if(collision) collisions.push(collision)
 
             function collisionAtTime(t) {
+                const edgeT = t + baseTime - edgeObj.trajectory.time
                 return verifyCollision(
-                    tr0.set(edgeObj.trajectory.base).addScaled(edgeObj.trajectory.motion, t + baseTime - edgeObj.trajectory.time),
-                    tr1.set(vertexObj.trajectory.base).addScaled(vertexObj.trajectory.motion, t),
-                    v10.set(ep).addScaled(ev, t),
-                    v11.set(vp).addScaled(vv, t),
-                    v12.set(v0p).addScaled(v0v, t),
-                    v13.set(v1p).addScaled(v1v, t),
-                    v14.set(vap).addScaled(vav, t),
+                    tr0.set(edgeObj.trajectory.base).addScaled(edgeObj.trajectory.motion, edgeT).addScaled(edgeObj.trajectory.acceleration, edgeT ** 2 / 2),
+                    tr1.set(vertexObj.trajectory.base).addScaled(vertexObj.trajectory.motion, t).addScaled(vertexObj.trajectory.acceleration, t ** 2 / 2),
+                    tr2.set(edgeObj.trajectory.motion).addScaled(edgeObj.trajectory.acceleration, edgeT),
+                    v10.set(ep).addScaled(ev, t).addScaled(ea, t ** 2),
+                    v11.set(vp).addScaled(vv, t).addScaled(va, t ** 2),
+                    v12.set(v0p).addScaled(v0v, t).addScaled(v0a, t ** 2),
+                    v13.set(v1p).addScaled(v1v, t).addScaled(v1a, t ** 2),
+                    v14.set(vap).addScaled(vav, t).addScaled(vaa, t ** 2),
+                    v21.set(vav).addScaled(vaa, 2 * t),
                     t,
                 )
             }
@@ -113,14 +150,16 @@ function vertexEdge(edgeObj, vertexObj, invert, now, toleranceProfile){
             /**
              * @param {Transform} eTransform tr0
              * @param {Transform} vTransform tr1
+             * @param {Transform} eMotion tr2
              * @param {V2} ep v10
              * @param {V2} vp v11
              * @param {V2} v0p v12
              * @param {V2} v1p v13
              * @param {V2} pos v14
+             * @param {V2} vVel v21
              * @param {number} t
              */
-            function verifyCollision(eTransform, vTransform, ep, vp, v0p, v1p, pos, t){
+            function verifyCollision(eTransform, vTransform, eMotion, ep, vp, v0p, v1p, pos, vVel, t){
 
                 const s = ep.dot(vp) / ep.mag2 // expire vp (v11)
 
@@ -142,18 +181,18 @@ function vertexEdge(edgeObj, vertexObj, invert, now, toleranceProfile){
 
 
                 const
-                    edgeVel = eTr.motion.applyVec(v11.set(edge.p0).lerp(edge.p1, s)),
-                    relVel = v15.set(vav).sub(edgeVel)
+                    edgeVel = eMotion.applyVec(v11.set(edge.p0).lerp(edge.p1, s)),
+                    relVel = v15.set(vVel).sub(edgeVel)
 
                 if(ep.cross(relVel) <= 0) return null
 
                 const
                     a = invert ? vertexObj : edgeObj,
                     b = invert ? edgeObj : vertexObj,
-                    aVel = invert ? vav : edgeVel
+                    aVel = invert ? vVel : edgeVel
 
                 // duplicate all vectors
-                return new Collision(pos.xy, ep.xy.scale(invertScl), aVel.xy, relVel.xy.scale(invertScl), baseTime + t, vertex, edge, a, b)
+                return new Collision(copyV2(pos), copyV2(ep).scale(invertScl), copyV2(aVel), copyV2(relVel).scale(invertScl), baseTime + t, vertex, edge, a, b)
             }
         }
     }
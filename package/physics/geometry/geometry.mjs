@@ -1,9 +1,15 @@
+import {Vertex} from "./vertex.mjs"
+import {Edge} from "./edge.mjs"
+import {copyV2, isFloat64} from "../../util/float64.mjs"
+
 /**
  * Geometries provide shape data for physics objects.
  *
  * They comprise a list of {@link Geometry#vertices} and {@link Geometry#edges}, which can be modified using {@link Geometry#modify}.
  *
  * Usually, geometries are constructed through the {@link GeometryBuilder} class.
+ *
+ * Like trajectories, geometries use single precision by default, and a double-precision copy can be made with {@link Geometry#toFloat64}.
  */
 class Geometry {
     /**
@@ -80,6 +86,31 @@ class Geometry {
         this.maxY = maxY
     }
 
+    /**
+     * Whether this geometry's vectors are stored with double precision.
+     *
+     * @returns {boolean}
+     */
+    get float64(){
+        const vector = this.vertices.length != 0 ? this.vertices[0].p : this.edges[0]?.p0
+        return vector !== undefined && isFloat64(vector)
+    }
+
+    /**
+     * Creates a copy of this geometry which stores its vectors with double precision.
+     *
+     * Collisions between objects are calculated with double precision if either object's geometry or trajectory uses it.
+     *
+     * @returns {Geometry}
+     */
+    toFloat64(){
+        return new Geometry(
+            this.vertices.map(({p, t0, t1}) => new Vertex(copyV2(p, true), copyV2(t0, true), copyV2(t1, true))),
+            this.edges.map(({p0, p1}) => new Edge(copyV2(p0, true), copyV2(p1, true))),
+            this.minX, this.maxX, this.minY, this.maxY,
+        )
+    }
+
     /**
      * The properties {@link Geometry#edges} and {@link Geometry#vertices} can be modified safely within the callback.
      *
@@ -0,0 +1,453 @@
+import {Transform} from "@darcyvilkner/2d-geometry"
+import {Trajectory} from "./trajectory.mjs"
+import {ClockEvent} from "./timing/event.mjs"
+import {copyTransform} from "../util/float64.mjs"
+
+/**
+ * A transform which a {@link KeyframeTrajectory} passes through at a given time.
+ *
+ * @typedef {Object} Keyframe
+ * @property {number} time The clock time at which the transform is reached.
+ * @property {Transform} transform
+ */
+
+/**
+ * An error triggered when a {@link KeyframeTrajectory} is given keyframes it can't follow.
+ */
+class InvalidKeyframesError extends Error {
+    /**
+     * The keyframes provided.
+     *
+     * @type {Array<Keyframe>}
+     */
+    keyframes
+
+    /**
+     * @param {Array<Keyframe>} keyframes
+     * @param {string} reason
+     */
+    constructor(keyframes, reason){
+        super(`Invalid keyframes: ${reason}.`)
+        this.name = "InvalidKeyframesError"
+        this.keyframes = keyframes
+    }
+}
+
+/**
+ * A trajectory which moves linearly from keyframe to keyframe, like a moving platform, an elevator, or an object in a cutscene.
+ *
+ * Between two keyframes the trajectory is an ordinary linear trajectory, so collisions with it remain exact.
+ * At each keyframe, an event snaps the transform onto the keyframe and sets the motion toward the next one, which triggers collision recalculation.
+ * Before the first keyframe, the trajectory holds the first transform.
+ *
+ * Once the last keyframe is reached, the trajectory follows its {@link KeyframeTrajectory#mode}:
+ * - `"once"` holds the last transform.
+ * - `"loop"` jumps back to the first transform and starts over.
+ *   To loop smoothly, the last transform should match the first.
+ * - `"pingPong"` runs back through the keyframes in reverse, then forward again, and so on.
+ *
+ * Other modifications, such as {@link Trajectory#setMotion} or {@link Trajectory#setAcceleration}, last until the next keyframe is reached.
+ * While the keyframes are being followed, the motion isn't clamped by {@link Trajectory#setLimits}, so that each keyframe is still reached on time.
+ * Calling {@link KeyframeTrajectory#stop} stops following the keyframes altogether.
+ *
+ * Keyframe trajectories support {@link Clock#rollback}, but the keyframes themselves are not saved by {@link saveWorld}.
+ *
+ * Example usage:
+ *
+ * ```js
+ *
+ * const elevator = new KeyframeTrajectory(clock, [
+ *     {time: 0, transform: Transform.translateVals(0, 0)},
+ *     {time: 2, transform: Transform.translateVals(0, 10)},
+ *     {time: 5, transform: Transform.translateVals(0, 10)},
+ * ], {mode: "pingPong"})
+ *
+ * world.createObject(platform, [walls], elevator)
+ *
+ * ```
+ */
+class KeyframeTrajectory extends Trajectory {
+    /**
+     * The keyframes followed, sorted by time.
+     *
+     * This should not be modified.
+     *
+     * @type {Array<Keyframe>}
+     */
+    keyframes
+    /**
+     * What happens once the last keyframe is reached.
+     *
+     * @type {"once" | "loop" | "pingPong"}
+     */
+    mode
+    /**
+     * Called when the last keyframe is reached in `"once"` mode.
+     *
+     * @type {(function(KeyframeTrajectory): void) | null}
+     */
+    onFinish
+    /**
+     * Called whenever a keyframe is reached, with the index of the keyframe, once the trajectory has moved on to the next segment.
+     *
+     * The end of each lap is the last keyframe in `"loop"` mode, and the first keyframe on the way back in `"pingPong"` mode.
+     *
+     * @type {(function(KeyframeTrajectory, number): void) | null}
+     */
+    onArrive
+    /**
+     * The keyframe the current segment starts from.
+     *
+     * This field is used internally by the trajectory and should not be accessed directly.
+     *
+     * @type {number}
+     */
+    index = 0
+    /**
+     * Whether the current segment runs backward through the keyframes.
+     *
+     * This field is used internally by the trajectory and should not be accessed directly.
+     *
+     * @type {boolean}
+     */
+    reverse = false
+    /**
+     * The number of times the animation has started over in `"loop"` or `"pingPong"` mode.
+     *
+     * This field is used internally by the trajectory and should not be accessed directly.
+     *
+     * @type {number}
+     */
+    lap = 0
+    /**
+     * The time at which the first keyframe is reached in the first lap, as of the clock's {@link Clock#timeOrigin} at {@link KeyframeTrajectory#startEpoch}.
+     *
+     * This field is used internally by the trajectory and should not be accessed directly.
+     * Instead, use {@link KeyframeTrajectory#lapStart}.
+     *
+     * @type {number}
+     */
+    startTime
+    /**
+     * The clock's {@link Clock#timeOrigin} when {@link KeyframeTrajectory#startTime} was last brought up to date.
+     *
+     * This field is used internally by the trajectory and should not be accessed directly.
+     *
+     * @type {number}
+     */
+    startEpoch
+    /**
+     * The event which will be run when the next keyframe is reached, or null if the trajectory is no longer following its keyframes.
+     *
+     * This field is used internally by the trajectory and should not be accessed directly.
+     *
+     * @type {ClockEvent | null}
+     */
+    event = null
+
+    /**
+     * Creates a trajectory following keyframes.
+     *
+     * If the clock is already past the first keyframe, the trajectory starts at the point in the animation where the clock is.
+     *
+     * @param {Clock} clock The clock that drives the transform's time evolution.
+     * @param {Array<Keyframe>} keyframes The keyframes to follow. They are copied and sorted by time.
+     * @param {Object} options
+     * @param {"once" | "loop" | "pingPong"} options.mode See {@link KeyframeTrajectory#mode}.
+     * @param {?function(KeyframeTrajectory): void} options.onFinish See {@link KeyframeTrajectory#onFinish}.
+     * @param {?function(KeyframeTrajectory, number): void} options.onArrive See {@link KeyframeTrajectory#onArrive}.
+     * @param {boolean} options.float64 Whether transforms are stored with double precision.
+     *
+     * @throws {InvalidKeyframesError} if no keyframes are provided, or if a looping animation takes no time.
+     */
+    constructor(clock, keyframes, {mode = "once", onFinish = null, onArrive = null, float64 = false} = {}){
+        if(keyframes.length == 0) throw new InvalidKeyframesError(keyframes, "at least one keyframe is required")
+
+        const sorted = keyframes
+            .map(({time, transform}) => ({time, transform: copyTransform(transform, float64)}))
+            .sort((a, b) => a.time - b.time)
+
+        const duration = sorted[sorted.length - 1].time - sorted[0].time
+        if(mode != "once" && !(0 < duration)){
+            throw new InvalidKeyframesError(keyframes, `a ${mode} must span a positive duration`)
+        }
+
+        super(clock, copyTransform(sorted[0].transform), Transform.zero(), float64)
+        this.keyframes = sorted
+        this.mode = mode
+        this.onFinish = onFinish
+        this.onArrive = onArrive
+        this.startTime = sorted[0].time
+        this.startEpoch = clock.timeOrigin
+
+        this.seek(clock.time - sorted[0].time, duration)
+    }
+
+    /**
+     * Whether the trajectory is still following its keyframes.
+     *
+     * @returns {boolean}
+     */
+    get playing(){
+        return this.event != null
+    }
+
+    /**
+     * The time at which the first keyframe is reached in the current lap.
+     *
+     * Arrivals are scheduled relative to this, rather than to the previous arrival, so rounding errors don't build up over many laps.
+     *
+     * This property is used internally by the trajectory and should not be accessed directly.
+     *
+     * @returns {number}
+     */
+    get lapStart(){
+        if(this.startEpoch != this.clock.timeOrigin){
+            this.startTime -= this.clock.timeOrigin - this.startEpoch
+            this.startEpoch = this.clock.timeOrigin
+        }
+
+        const
+            keyframes = this.keyframes,
+            duration = keyframes[keyframes.length - 1].time - keyframes[0].time
+        return this.startTime + this.lap * (this.mode == "pingPong" ? 2 * duration : duration)
+    }
+
+    /**
+     * Stops following the keyframes, and stops all motion.
+     */
+    stop(){
+        this.journal()
+        this.unschedule()
+        super.stop()
+    }
+
+    /**
+     * Stops following the keyframes, returning a callback which picks them up again from the same point in the animation, later by however long it was paused.
+     *
+     * This method is used internally by {@link PhysicsObject#freeze} and should not be called directly.
+     *
+     * @returns {function(): void}
+     */
+    pause(){
+        if(!this.playing) return super.pause()
+
+        const elapsed = this.clock.time - this.lapStart
+        this.stop()
+
+        return () => {
+            const keyframes = this.keyframes
+            this.journal()
+            this.lap = 0
+            this.startTime = this.clock.time - elapsed
+            this.startEpoch = this.clock.timeOrigin
+            this.seek(elapsed, keyframes[keyframes.length - 1].time - keyframes[0].time)
+        }
+    }
+
+    /**
+     * Clamps the present motion to the trajectory's limits, unless it's following its keyframes.
+     *
+     * This method is used internally by the trajectory and should not be called directly.
+     */
+    clampMotion(){
+        if(!this.playing) super.clampMotion()
+    }
+
+    /**
+     * Starts following the keyframes from some time after the first one.
+     *
+     * This method is used internally by the trajectory and should not be called directly.
+     *
+     * @param {number} elapsed The time since the first keyframe.
+     * @param {number} duration The time between the first and last keyframes.
+     */
+    seek(elapsed, duration){
+        const keyframes = this.keyframes
+        if(elapsed < 0){
+            // arriving moves on to the segment after this one, which starts from the first keyframe
+            this.index = -1
+            this.schedule(this.lapStart)
+            return
+        }
+
+        let
+            time = elapsed,
+            reverse = false
+        if(this.mode == "loop"){
+            this.lap = Math.floor(time / duration)
+            time -= this.lap * duration
+        }else if(this.mode == "pingPong"){
+            this.lap = Math.floor(time / (2 * duration))
+            time -= this.lap * 2 * duration
+            reverse = duration < time
+            if(reverse) time = 2 * duration - time
+        }else if(duration <= time){
+            this.hold(keyframes.length - 1)
+            return
+        }
+        time += keyframes[0].time
+
+        // the segment from index toward index + 1, or toward index - 1 if reversed
+        let index = reverse ? keyframes.length - 1 : 0
+        if(reverse){
+            while(1 < index && time <= keyframes[index - 1].time) index--
+        }else{
+            while(index < keyframes.length - 2 && keyframes[index + 1].time <= time) index++
+        }
+        this.follow(index, reverse, Math.abs(time - keyframes[index].time))
+    }
+
+    /**
+     * Moves to the next segment once a keyframe is reached.
+     *
+     * This method is used internally by the trajectory and should not be called directly.
+     */
+    arrive(){
+        this.journal()
+        this.event = null
+
+        const
+            last = this.keyframes.length - 1,
+            index = this.index + (this.reverse ? -1 : 1)
+
+        if(this.reverse){
+            if(index == 0) this.lap++
+            this.follow(index, 0 < index, 0)
+        }else if(index < last){
+            this.follow(index, false, 0)
+        }else if(this.mode == "loop"){
+            this.lap++
+            this.follow(0, false, 0)
+        }else if(this.mode == "pingPong"){
+            this.follow(index, true, 0)
+        }else{
+            this.hold(index)
+        }
+
+        this.reached(index)
+        if(this.mode == "once" && index == last && this.onFinish) this.onFinish(this)
+    }
+
+    /**
+     * Reports that a keyframe was reached to {@link KeyframeTrajectory#onArrive}.
+     *
+     * This method is used internally by the trajectory and should not be called directly.
+     *
+     * @param {number} index
+     */
+    reached(index){
+        if(this.onArrive) this.onArrive(this, index)
+    }
+
+    /**
+     * Sets the transform and motion to follow a segment.
+     *
+     * This method is used internally by the trajectory and should not be called directly.
+     *
+     * @param {number} index The keyframe the segment starts from.
+     * @param {boolean} reverse Whether the segment runs backward through the keyframes.
+     * @param {number} offset The time since the start of the segment.
+     */
+    follow(index, reverse, offset){
+        this.journal()
+        this.index = index
+        this.reverse = reverse
+
+        const
+            keyframes = this.keyframes,
+            from = keyframes[index],
+            to = keyframes[index + (reverse ? -1 : 1)],
+            duration = Math.abs(to.time - from.time)
+
+        // simultaneous keyframes are passed through by an immediate arrival, so that each is reached in turn
+        if(duration == 0){
+            this.schedule(this.clock.time)
+            return
+        }
+
+        this.steer(() => this.modify(() => {
+            this.motion.set(to.transform).sub(from.transform).scale(1 / duration)
+            this.base.set(from.transform).addScaled(this.motion, offset)
+            this.acceleration.zero()
+        }))
+
+        // a reversed segment is reached as far after the last keyframe as the keyframe is before it
+        const
+            first = keyframes[0].time,
+            last = keyframes[keyframes.length - 1].time
+        this.schedule(this.lapStart + (reverse ? 2 * last - to.time : to.time) - first)
+    }
+
+    /**
+     * Holds the transform of a keyframe, without following further keyframes.
+     *
+     * This method is used internally by the trajectory and should not be called directly.
+     *
+     * @param {number} index
+     */
+    hold(index){
+        this.journal()
+        this.index = index
+        this.unschedule()
+        this.steer(() => this.modify(() => {
+            this.base.set(this.keyframes[index].transform)
+            this.motion.zero()
+            this.acceleration.zero()
+        }))
+    }
+
+    /**
+     * Schedules the arrival at the next keyframe.
+     *
+     * This method is used internally by the trajectory and should not be called directly.
+     *
+     * @param {number} time The time of the arrival. Times which have already passed (by rounding) are reached immediately.
+     */
+    schedule(time){
+        this.event = new ClockEvent(Math.max(time, this.clock.time), () => {
+            this.arrive()
+        })
+        this.clock.schedule(this.event)
+    }
+
+    /**
+     * Cancels the arrival at the next keyframe, if one is scheduled.
+     *
+     * This method is used internally by the trajectory and should not be called directly.
+     */
+    unschedule(){
+        if(this.event) this.event.valid = false
+        this.event = null
+    }
+
+    /**
+     * Captures the state of this trajectory, including its progress through the keyframes, returning a callback which restores it.
+     *
+     * This method is used internally by the trajectory and should not be called directly.
+     *
+     * @returns {function(): void}
+     */
+    save(){
+        const
+            restore = super.save(),
+            index = this.index,
+            reverse = this.reverse,
+            lap = this.lap,
+            startTime = this.startTime,
+            startEpoch = this.startEpoch,
+            event = this.event
+
+        return () => {
+            this.index = index
+            this.reverse = reverse
+            this.lap = lap
+            this.startTime = startTime
+            this.startEpoch = startEpoch
+            this.event = event
+            restore()
+        }
+    }
+}
+
+export {KeyframeTrajectory, InvalidKeyframesError}
\ No newline at end of file
@@ -0,0 +1,191 @@
+import {KeyframeTrajectory} from "./keyframe-trajectory.mjs"
+import {copyV2, float64Transform} from "../util/float64.mjs"
+
+/**
+ * An error triggered when a {@link PathTrajectory} is given a path it can't follow.
+ */
+class InvalidPathError extends Error {
+    /**
+     * The points provided.
+     *
+     * @type {Array<V2>}
+     */
+    points
+
+    /**
+     * @param {Array<V2>} points
+     * @param {string} reason
+     */
+    constructor(points, reason){
+        super(`Invalid path: ${reason}.`)
+        this.name = "InvalidPathError"
+        this.points = points
+    }
+}
+
+/**
+ * A trajectory which moves along a polyline at a constant speed, like a patrolling guard, a train on a track, or a projectile following a curve.
+ *
+ * Curves can be followed by sampling them into a polyline first, with {@link bezierPoints} or {@link catmullRomPoints}.
+ *
+ * The path is followed with a {@link KeyframeTrajectory}, with a keyframe at each point.
+ * Each segment is an ordinary linear trajectory, and the turn at each point is an exact clock event, so collisions stay exact.
+ *
+ * If `orient` is set, the trajectory is rotated so that its x-axis points along the current segment, and it turns instantly at each point.
+ * Otherwise, it is only translated.
+ *
+ * Modes work as they do for keyframe trajectories:
+ * - `"once"` stops at the last point.
+ * - `"loop"` jumps back to the first point and starts over.
+ *   To loop around a closed shape, set `closed` rather than repeating the first point.
+ * - `"pingPong"` runs back along the path, then forward again, and so on.
+ *   An oriented trajectory turns around at each end, rather than reversing.
+ *
+ * Example usage:
+ *
+ * ```js
+ *
+ * const patrol = new PathTrajectory(clock, V2.multipleFromVals(
+ *     0, 0,
+ *     10, 0,
+ *     10, 5,
+ * ), {speed: 2, orient: true, mode: "pingPong"})
+ *
+ * world.createObject(guard, [enemies], patrol)
+ *
+ * ```
+ */
+class PathTrajectory extends KeyframeTrajectory {
+    /**
+     * The points of the path, including the first point again at the end if it is closed.
+     *
+     * This should not be modified.
+     *
+     * @type {Array<V2>}
+     */
+    points
+    /**
+     * The distance travelled along the path per unit time.
+     *
+     * This reference is fixed for the lifetime of the trajectory.
+     *
+     * @type {number}
+     */
+    speed
+    /**
+     * Whether the trajectory is rotated to face along the path.
+     *
+     * This reference is fixed for the lifetime of the trajectory.
+     *
+     * @type {boolean}
+     */
+    orient
+    /**
+     * Called whenever a point is reached, with the index of the point in {@link PathTrajectory#points}, once the trajectory has moved on to the next segment.
+     *
+     * A lap ends at the last point, or back at the first point in `"pingPong"` mode.
+     * The end of a closed path is reported as the repeated first point at the end.
+     *
+     * @type {(function(PathTrajectory, number): void) | null}
+     */
+    onArrive
+
+    /**
+     * Creates a trajectory following a path, starting from the first point at the current time.
+     *
+     * @param {Clock} clock The clock that drives the transform's time evolution.
+     * @param {Array<V2>} points The points of the path. Repeated points are skipped.
+     * @param {Object} options
+     * @param {number} options.speed The distance travelled along the path per unit time.
+     * @param {boolean} options.orient Whether the trajectory is rotated to face along the path.
+     * @param {boolean} options.closed Whether the path returns from the last point to the first.
+     * @param {"once" | "loop" | "pingPong"} options.mode What happens once the end of the path is reached. See {@link KeyframeTrajectory#mode}.
+     * @param {?function(KeyframeTrajectory): void} options.onFinish Called when the end of the path is reached in `"once"` mode.
+     * @param {?function(PathTrajectory, number): void} options.onArrive See {@link PathTrajectory#onArrive}.
+     * @param {boolean} options.float64 Whether transforms are stored with double precision.
+     *
+     * @throws {InvalidPathError} if the speed isn't positive, or if the path has fewer than two distinct points.
+     */
+    constructor(clock, points, {speed = 1, orient = false, closed = false, mode = "once", onFinish = null, onArrive = null, float64 = false} = {}){
+        if(!(0 < speed)) throw new InvalidPathError(points, `the speed must be positive (provided: ${speed})`)
+
+        const path = []
+        for(const point of closed ? [...points, points[0]] : points){
+            if(!path.length || !path[path.length - 1].equals(point)) path.push(copyV2(point, float64))
+        }
+        if(path.length < 2) throw new InvalidPathError(points, "at least two distinct points are required")
+
+        // an oriented trajectory must turn around at each end, so the return trip is laid out as its own keyframes
+        const
+            pingPong = orient && mode == "pingPong",
+            route = pingPong ? [...path, ...path.slice(0, -1).reverse()] : path
+
+        super(clock, pathKeyframes(route, clock.time, speed, orient), {mode: pingPong ? "loop" : mode, onFinish, onArrive, float64})
+        this.points = path
+        this.speed = speed
+        this.orient = orient
+        this.onArrive = onArrive
+    }
+
+    /**
+     * Reports that a keyframe was reached to {@link PathTrajectory#onArrive}, as the point it lies on.
+     *
+     * This method is used internally by the trajectory and should not be called directly.
+     *
+     * @param {number} index
+     */
+    reached(index){
+        if(!this.onArrive) return
+
+        // oriented paths reach each corner twice at once, and only the first arrival is reported
+        let routeIndex = index
+        if(this.orient){
+            if(index % 2 == 0) return
+            routeIndex = (index + 1) >> 1
+        }
+
+        // the return trip of an oriented ping-pong runs back over the same points
+        const last = this.points.length - 1
+        this.onArrive(this, routeIndex <= last ? routeIndex : 2 * last - routeIndex)
+    }
+}
+
+/**
+ * Lays out keyframes along a path, at the times they are reached travelling at a constant speed.
+ *
+ * Oriented paths have two keyframes at each corner, one facing along each segment, so the turn is instant.
+ * The keyframes have double precision, and are copied at the trajectory's own precision by {@link KeyframeTrajectory}.
+ *
+ * @param {Array<V2>} points
+ * @param {number} startTime
+ * @param {number} speed
+ * @param {boolean} orient
+ * @returns {Array<Keyframe>}
+ */
+function pathKeyframes(points, startTime, speed, orient){
+    if(!orient){
+        let time = startTime
+        return points.map((point, i) => {
+            if(0 < i) time += copyV2(point).subVec(points[i - 1]).mag / speed
+            return {time, transform: float64Transform(1, 0, 0, 1, point.x, point.y)}
+        })
+    }
+
+    const keyframes = []
+    let time = startTime
+    for(let i = 0; i < points.length - 1; i++){
+        const
+            from = points[i],
+            to = points[i + 1],
+            offset = copyV2(to).subVec(from),
+            length = offset.mag,
+            direction = offset.scale(1 / length)
+
+        keyframes.push({time, transform: float64Transform(direction.x, direction.y, -direction.y, direction.x, from.x, from.y)})
+        time += length / speed
+        keyframes.push({time, transform: float64Transform(direction.x, direction.y, -direction.y, direction.x, to.x, to.y)})
+    }
+    return keyframes
+}
+
+export {PathTrajectory, InvalidPathError}
\ No newline at end of file
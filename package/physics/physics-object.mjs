@@ -2,6 +2,7 @@ import {Trajectory} from "./trajectory.mjs"
 import {Heap} from "../util/heap.mjs"
 import {ClockEvent} from "./timing/event.mjs"
 import {Geometry} from "./geometry/geometry.mjs"
+import {Timer} from "./timing/timer.mjs"
 
 /**
  * A physics object represents a physical entity which can move and collide with other objects.
@@ -94,6 +95,44 @@ class PhysicsObject {
      * @type {boolean}
      */
     disabled = true
+    /**
+     * Timers scheduled through this object, along with whether each is suspended (rather than canceled) while the object is disabled.
+     *
+     * Finished and canceled timers may linger here until the object next schedules or is disabled.
+     *
+     * This should not be modified directly.
+     * Instead, use {@link PhysicsObject#schedule} and {@link PhysicsObject#scheduleLoop}.
+     *
+     * @type {Map<Timer, boolean>}
+     */
+    timers = new Map()
+    /**
+     * Timers paused by {@link PhysicsObject#disable}, which will be resumed by {@link PhysicsObject#enable}.
+     *
+     * This field is used internally by the object and should not be accessed directly.
+     *
+     * @type {Set<Timer>}
+     */
+    suspendedTimers = new Set()
+    /**
+     * Callbacks run after each collision this object is involved in, once the collision rule's callback has run.
+     *
+     * This should not be modified directly.
+     * Instead, use {@link PhysicsObject#addCollisionListener} and {@link PhysicsObject#deleteCollisionListener}.
+     *
+     * @type {Set<function(Collision, CollisionRule): void>}
+     */
+    collisionListeners = new Set()
+    /**
+     * The state saved by {@link PhysicsObject#freeze}, or null if this object isn't frozen.
+     *
+     * `reconnect` is cleared if the object is disabled or enabled while frozen, so that {@link PhysicsObject#thaw} leaves it as it was left.
+     *
+     * This field is used internally by the object and the clock and should not be accessed directly.
+     *
+     * @type {{resume: function(): void, reconnect: boolean} | null}
+     */
+    frozen = null
 
     /**
      * Collision-related events currently scheduled due to this object's state.
@@ -150,6 +189,17 @@ class PhysicsObject {
      * This field is used internally by the collision system and should not be accessed directly.
      */
     lastRecalculation = -Infinity
+    /**
+     * The clock's {@link Clock#timeOrigin} when this object's collision times were last brought up to date.
+     *
+     * Rebasing the clock doesn't visit every object, so each object catches up the next time its collision times are used.
+     * See {@link PhysicsObject#syncEpoch}.
+     *
+     * This field is used internally by the collision system and should not be accessed directly.
+     *
+     * @type {number}
+     */
+    epoch = 0
     
     /**
      * Constructs a new {@link PhysicsObject}.
@@ -202,8 +252,62 @@ class PhysicsObject {
      * This object can be garbage collected in this state, although it can also be re-enabled with {@link PhysicsObject#enable}.
      *
      * There is no performance impact for a disabled physics object.
+     *
+     * Timers scheduled through this object are canceled, or paused if they were scheduled with `suspend`.
      */
     disable(){
+        if(this.frozen) this.frozen.reconnect = false
+        this.disconnect()
+
+        for(const [timer, suspend] of this.timers){
+            if(!suspend){
+                timer.cancel()
+                this.timers.delete(timer)
+            }else if(timer.active && !timer.paused){
+                timer.pause()
+                this.suspendedTimers.add(timer)
+            }
+        }
+    }
+
+    /**
+     * Enables this physics object.
+     *
+     * This reconnects the object to its resources and calculates new collisions.
+     * Timers suspended by {@link PhysicsObject#disable} are resumed.
+     */
+    enable(){
+        if(this.frozen) this.frozen.reconnect = false
+        this.connect()
+
+        for(const timer of this.suspendedTimers){
+            timer.resume()
+        }
+        this.suspendedTimers.clear()
+    }
+
+    /**
+     * Disables this physics object for good, canceling all of its timers, including suspended ones.
+     *
+     * Use this instead of {@link PhysicsObject#disable} when the object won't be enabled again.
+     */
+    discard(){
+        this.disable()
+
+        for(const timer of this.timers.keys()){
+            timer.cancel()
+        }
+        this.timers.clear()
+        this.suspendedTimers.clear()
+    }
+
+    /**
+     * Disconnects this object from its resources and invalidates its collisions, without affecting its timers.
+     *
+     * This method is used internally by the object and the clock, and should not be called directly.
+     * Instead, use {@link PhysicsObject#disable}.
+     */
+    disconnect(){
         this.geometry.dependants.delete(this)
         this.trajectory.dependants.delete(this)
         for(const group of this.collisionGroups){
@@ -214,11 +318,12 @@ class PhysicsObject {
     }
 
     /**
-     * Enables this physics object.
+     * Reconnects this object to its resources and calculates new collisions, without affecting its timers.
      *
-     * This reconnects the object to its resources and calculates new collisions.
+     * This method is used internally by the object and the clock, and should not be called directly.
+     * Instead, use {@link PhysicsObject#enable}.
      */
-    enable(){
+    connect(){
         this.geometry.dependants.add(this)
         this.trajectory.dependants.add(this)
         for(const group of this.collisionGroups){
@@ -228,6 +333,143 @@ class PhysicsObject {
         this.disabled = false
     }
 
+    /**
+     * Disconnects this object and pauses its trajectory with {@link Trajectory#pause} until {@link PhysicsObject#thaw} is called, without affecting its timers.
+     *
+     * Any rotation of the trajectory is ended, but keyframe and path trajectories carry on along their keyframes once thawed.
+     *
+     * This method is used internally by the clock and should not be called directly.
+     */
+    freeze(){
+        this.disconnect()
+        this.frozen = {resume: this.trajectory.pause(), reconnect: true}
+    }
+
+    /**
+     * Resumes this object's trajectory as it was when it was frozen by {@link PhysicsObject#freeze},
+     * and reconnects it, unless it was disabled or enabled in the meantime.
+     *
+     * This method is used internally by the clock and should not be called directly.
+     */
+    thaw(){
+        if(!this.frozen) return
+        const {resume, reconnect} = this.frozen
+        this.frozen = null
+
+        resume()
+        if(reconnect) this.connect()
+    }
+
+    /**
+     * Schedules a callback on this object's clock, which is tied to this object's lifetime.
+     *
+     * The callback is canceled when this object is disabled, or, if `suspend` is set, paused until it is enabled again.
+     * It is always canceled by {@link PhysicsObject#discard}.
+     *
+     * Example usage:
+     *
+     * ```js
+     *
+     * obj.schedule(clock.time + 3, () => world.deleteObject(obj))
+     *
+     * ```
+     *
+     * @param {number} time The time at which the callback will be executed.
+     * @param {function(Clock, Timer): void} callback The callback to be executed.
+     * @param {Object} options
+     * @param {boolean} options.suspend Whether the callback is paused, rather than canceled, while this object is disabled.
+     * @returns {Timer} A timer which can be used to cancel the callback.
+     */
+    schedule(time, callback, {suspend = false} = {}){
+        return this.addTimer(new Timer(this.clock, time, 0, callback, {count: 1}), suspend)
+    }
+
+    /**
+     * Schedules a callback to be periodically run on this object's clock, which is tied to this object's lifetime.
+     *
+     * The loop is canceled when this object is disabled, or, if `suspend` is set, paused until it is enabled again.
+     * It is always canceled by {@link PhysicsObject#discard}.
+     *
+     * @param {number} startTime The time at which the callback is run for the first time.
+     * @param {number} delay The delay between each iteration.
+     * @param {function(Clock, Timer): void} callback The callback being periodically run.
+     * @param {Object} options
+     * @param {number} options.count The number of times the callback is run before the loop stops. Runs until canceled by default.
+     * @param {boolean} options.suspend Whether the loop is paused, rather than canceled, while this object is disabled.
+     * @returns {Timer} The timer running the loop.
+     */
+    scheduleLoop(startTime, delay, callback, {count = Infinity, suspend = false} = {}){
+        return this.addTimer(new Timer(this.clock, startTime, delay, callback, {count}), suspend)
+    }
+
+    /**
+     * Ties a timer to this object's lifetime.
+     *
+     * Timers added while this object is disabled are immediately canceled or suspended.
+     *
+     * This method is used internally by the object and should not be called directly.
+     *
+     * @param {Timer} timer
+     * @param {boolean} suspend
+     * @returns {Timer}
+     */
+    addTimer(timer, suspend){
+        for(const existing of this.timers.keys()){
+            if(!existing.active) this.timers.delete(existing)
+        }
+
+        this.timers.set(timer, suspend)
+
+        if(this.disabled){
+            if(suspend){
+                timer.pause()
+                this.suspendedTimers.add(timer)
+            }else{
+                timer.cancel()
+            }
+        }
+
+        return timer
+    }
+
+    /**
+     * Adds one or more callbacks which are run after each collision this object is involved in.
+     *
+     * Listeners run from within the collision's event, right after the collision rule's callback, and may safely modify the simulation.
+     * They are useful for reacting to one object's collisions without adding a rule for it.
+     *
+     * @param {...function(Collision, CollisionRule): void} listeners
+     */
+    addCollisionListener(...listeners){
+        for(const listener of listeners){
+            this.collisionListeners.add(listener)
+        }
+    }
+    /**
+     * Removes one or more callbacks added with {@link PhysicsObject#addCollisionListener}.
+     *
+     * @param {...function(Collision, CollisionRule): void} listeners
+     */
+    deleteCollisionListener(...listeners){
+        for(const listener of listeners){
+            this.collisionListeners.delete(listener)
+        }
+    }
+    /**
+     * Runs this object's collision listeners for a collision which has just occurred.
+     *
+     * This method is used internally by the collision system and should not be called directly.
+     *
+     * @param {Collision} collision
+     * @param {CollisionRule} collisionRule
+     */
+    notifyCollision(collision, collisionRule){
+        if(this.collisionListeners.size == 0) return
+        for(const listener of [...this.collisionListeners]){
+            listener(collision, collisionRule)
+        }
+    }
+
     /**
      * Sets this object's {@link PhysicsObject#geometry geometry}.
      *
@@ -309,6 +551,7 @@ class PhysicsObject {
      * This method is used internally by the collision system and should not be called directly.
      */
     clearCollisions(){
+        this.journalCollisions()
         for(const event of this.relevantEvents){
             event.valid = false
         }
@@ -318,10 +561,16 @@ class PhysicsObject {
     /**
      * Evaluates one batch of collisions and adds them to the clock.
      *
+     * Events are added with {@link Clock#schedule}, which skips events in the past.
+     * None are lost this way, since exact collisions are only calculated from the current time onward, and candidates are never earlier than the recalculation that produced them.
+     *
      * This method is used internally by the collision system and should not be called directly.
      */
     addCollisions(){
-        let earliestCollisionTime = this.nextProbableRecalculation
+        this.journalCollisions()
+        let
+            earliestCollisionTime = this.nextProbableRecalculation,
+            exactChecks = 0
         this.nextProbableRecalculation = Infinity
         while(true){
             /** @type {CollisionCandidate | undefined} */
@@ -344,14 +593,17 @@ class PhysicsObject {
             this.recalculatingCollisionCandidates.pop()
 
             // Hackey way of checking if the other object was recalculated more recently
+            candidate.a.syncEpoch()
+            candidate.b.syncEpoch()
             if(this.lastRecalculation != Math.max(candidate.a.lastRecalculation, candidate.b.lastRecalculation)) continue
 
             const events = candidate.calculateExact(this.clock.time)
+            exactChecks++
 
             for(const event of events) {
                 if (event.time < this.clock.time) break
                 earliestCollisionTime = event.time
-                this.clock.events.push(event)
+                this.clock.schedule(event)
             }
         }
 
@@ -363,12 +615,15 @@ class PhysicsObject {
             if(earliestCollisionTime < candidate.earliestTime) break
 
             const events = candidate.calculateExact(this.clock.time)
+            exactChecks++
             for(const event of events){
                 if(earliestCollisionTime < event.time) continue
 
-                this.clock.events.push(event)
+                this.clock.schedule(event)
             }
         }
+
+        if(this.clock.tracers.size != 0) this.clock.trace("exactChecks", [this], null, exactChecks)
     }
 
     /**
@@ -377,17 +632,21 @@ class PhysicsObject {
      * This method is used internally by the collision system and should not be called directly.
      */
     recalculateCollisions(){
+        this.journalCollisions()
         this.lastRecalculation = this.clock.time
         if(this.disabled) return
+        if(this.clock.tracers.size != 0) this.clock.trace("recalculate", [this])
         this.clearCollisions()
         this.nextProbableRecalculation = Infinity
 
         this.recalculatingCollisionCandidates.clear()
         this.otherCollisionCandidates.clear()
 
+        let candidateCount = 0
         for(const collisionGroup of this.collisionGroups){
             const candidates = collisionGroup.generateCollisionCandidates(this, this.clock)
             for(const candidate of candidates){
+                candidateCount++
                 if(candidate.collisionRule.recalculating){
                     this.recalculatingCollisionCandidates.push(candidate)
                 }else{
@@ -395,9 +654,59 @@ class PhysicsObject {
                 }
             }
         }
+        if(this.clock.tracers.size != 0) this.clock.trace("candidates", [this], null, candidateCount)
 
         this.addCollisions()
     }
+
+    /**
+     * Shifts this object's collision times to match the clock's current {@link Clock#timeOrigin}, if the clock has been rebased since they were recorded.
+     *
+     * This method is used internally by the collision system and should not be called directly.
+     */
+    syncEpoch(){
+        if(this.epoch == this.clock.timeOrigin) return
+        const offset = this.clock.timeOrigin - this.epoch
+        this.epoch = this.clock.timeOrigin
+
+        this.lastRecalculation -= offset
+        this.nextProbableRecalculation -= offset
+        for(const candidate of this.recalculatingCollisionCandidates.values){
+            candidate.earliestTime -= offset
+        }
+        for(const candidate of this.otherCollisionCandidates.values){
+            candidate.earliestTime -= offset
+        }
+    }
+
+    /**
+     * Records this object's collision state with the clock before it is modified, so it can be restored by {@link Clock#rollback}.
+     *
+     * Rather than restoring the collisions computed since, a rollback restores the events this object was tracking and invalidates them,
+     * and then recalculates collisions at the restored time.
+     *
+     * Every modification of the collision state passes through here, so this is also where collision times catch up with {@link Clock#rebase}.
+     *
+     * This method is used internally by the collision system and should not be called directly.
+     */
+    journalCollisions(){
+        this.syncEpoch()
+
+        this.clock.journal(this, () => {
+            const
+                relevantEvents = this.relevantEvents.slice(),
+                lastRecalculation = this.lastRecalculation,
+                timeOrigin = this.clock.timeOrigin
+
+            return () => {
+                this.syncEpoch()
+                this.relevantEvents = relevantEvents
+                this.lastRecalculation = lastRecalculation - (this.clock.timeOrigin - timeOrigin)
+                this.clearCollisions()
+                this.queueCollisionRecalculation()
+            }
+        })
+    }
 }
 
 export {PhysicsObject}
\ No newline at end of file
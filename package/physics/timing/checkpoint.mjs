@@ -0,0 +1,89 @@
+/**
+ * A checkpoint records the state of a {@link Clock} at a moment in time so the clock can later be rolled back to it with {@link Clock#rollback}.
+ *
+ * Checkpoints are created with {@link Clock#checkpoint}.
+ *
+ * Because motion is linear in time, trajectories which haven't been modified since a checkpoint was created don't need to be restored; their motion is simply evaluated at the earlier time.
+ * Instead of copying the whole simulation, a checkpoint only stores the events that were queued when it was created,
+ * and components record their previous state with {@link Clock#journal} the first time they are modified afterward.
+ *
+ * While a checkpoint is active, every modification since its creation is recorded.
+ * Checkpoints which are no longer needed should be released with {@link ClockCheckpoint#release}.
+ */
+class ClockCheckpoint {
+    /**
+     * The clock this checkpoint belongs to.
+     *
+     * @type {Clock}
+     */
+    clock
+    /**
+     * The time of the clock when this checkpoint was created.
+     *
+     * @type {number}
+     */
+    time
+    /**
+     * All events queued on the clock when this checkpoint was created.
+     *
+     * This field is used internally by the clock and should not be accessed directly.
+     *
+     * @type {Array<ClockEvent>}
+     */
+    events
+    /**
+     * The validity of each event in {@link ClockCheckpoint#events} when this checkpoint was created.
+     *
+     * This field is used internally by the clock and should not be accessed directly.
+     *
+     * @type {Array<boolean>}
+     */
+    validity
+    /**
+     * All preprocesses queued on the clock when this checkpoint was created.
+     *
+     * This field is used internally by the clock and should not be accessed directly.
+     *
+     * @type {Array<function(number): void>}
+     */
+    preprocesses
+    /**
+     * Callbacks restoring every component modified since this checkpoint was created, keyed by component.
+     *
+     * This field is used internally by the clock and should not be accessed directly.
+     *
+     * @type {Map<Object, function(): void>}
+     */
+    restores = new Map()
+
+    /**
+     * Records the current state of a clock.
+     *
+     * This constructor is used internally by the clock and should not be called directly.
+     * Instead, use {@link Clock#checkpoint}.
+     *
+     * @param {Clock} clock
+     */
+    constructor(clock){
+        this.clock = clock
+        this.time = clock.time
+        this.events = clock.events.values.slice()
+        this.validity = this.events.map(event => event.valid)
+        this.preprocesses = clock.preprocesses.slice()
+    }
+
+    /**
+     * Releases this checkpoint.
+     *
+     * The clock stops recording modifications for this checkpoint, and it can no longer be rolled back to.
+     *
+     * It is safe to release a checkpoint multiple times.
+     */
+    release(){
+        const index = this.clock.checkpoints.indexOf(this)
+        if(index != -1) this.clock.checkpoints.splice(index, 1)
+        this.restores.clear()
+    }
+}
+
+export {ClockCheckpoint}
\ No newline at end of file
@@ -0,0 +1,193 @@
+/**
+ * Records where the cycles of a single {@link Clock#runTo} call are spent.
+ *
+ * Diagnostics are collected when {@link Clock#diagnosticHistory} is greater than zero,
+ * and are attached to {@link RunToCycleLimitExceededError#diagnostics} when the cycle limit is exceeded.
+ *
+ * The most common cause of excessive cycles is an object which is pinned or wedged between sharp edges,
+ * which shows up here as one or two objects (and the rules between them) involved in almost every event, over a very short window of time.
+ * That window is given by {@link RunToDiagnostics#recentTimes}, since the call as a whole may have advanced time normally before getting stuck.
+ *
+ * Example usage:
+ *
+ * ```js
+ *
+ * clock.diagnosticHistory = 20
+ *
+ * try{
+ *     clock.runTo(time)
+ * }catch(e){
+ *     if(!(e instanceof RunToCycleLimitExceededError)) throw e
+ *
+ *     const [[worstObject, eventCount]] = e.diagnostics.busiestObjects()
+ *     console.log(worstObject, eventCount, e.diagnostics.recentEvents)
+ * }
+ *
+ * ```
+ *
+ * @implements {ClockTracer}
+ */
+class RunToDiagnostics {
+    /**
+     * The time of the clock when the runTo call began.
+     *
+     * @type {number}
+     */
+    startTime
+    /**
+     * The time of the last event dispatched, or {@link RunToDiagnostics#startTime} if none were.
+     *
+     * @type {number}
+     */
+    endTime
+    /**
+     * The number of events dispatched.
+     *
+     * @type {number}
+     */
+    eventCount = 0
+    /**
+     * The number of dispatched events involving each object.
+     *
+     * @type {Map<PhysicsObject, number>}
+     */
+    objectEvents = new Map()
+    /**
+     * The number of dispatched collision events produced by each collision rule.
+     *
+     * @type {Map<CollisionRule, number>}
+     */
+    ruleEvents = new Map()
+    /**
+     * The number of collision recalculations performed for each object.
+     *
+     * @type {Map<PhysicsObject, number>}
+     */
+    recalculations = new Map()
+    /**
+     * The most recently dispatched events, oldest first.
+     *
+     * At most {@link RunToDiagnostics#historyLength} events are kept.
+     *
+     * @type {Array<ClockEvent>}
+     */
+    recentEvents = []
+    /**
+     * The time at which each of {@link RunToDiagnostics#recentEvents} was dispatched.
+     *
+     * @type {Array<number>}
+     */
+    recentTimes = []
+    /**
+     * The maximum number of events kept in {@link RunToDiagnostics#recentEvents}.
+     *
+     * @type {number}
+     */
+    historyLength
+
+    /**
+     * Begins collecting diagnostics.
+     *
+     * This constructor is used internally by the clock and should not be called directly.
+     *
+     * @param {Clock} clock
+     * @param {number} historyLength
+     */
+    constructor(clock, historyLength){
+        this.startTime = clock.time
+        this.endTime = clock.time
+        this.historyLength = historyLength
+    }
+
+    /**
+     * @param {ClockTrace} trace
+     */
+    dispatch({time, objects, event}){
+        this.endTime = time
+        this.eventCount++
+        for(const object of objects){
+            increment(this.objectEvents, object)
+        }
+        if(event.collisionRule) increment(this.ruleEvents, event.collisionRule)
+
+        this.recentEvents.push(event)
+        this.recentTimes.push(time)
+        if(this.historyLength < this.recentEvents.length){
+            this.recentEvents.shift()
+            this.recentTimes.shift()
+        }
+    }
+
+    /**
+     * Shifts the recorded times when the clock is {@link Clock#rebase rebased} during the call.
+     *
+     * Rebases after the call has returned or thrown aren't tracked.
+     *
+     * @param {ClockTrace} trace
+     */
+    rebase({count}){
+        this.startTime -= count
+        this.endTime -= count
+        for(let i = 0; i < this.recentTimes.length; i++){
+            this.recentTimes[i] -= count
+        }
+    }
+
+    /**
+     * @param {ClockTrace} trace
+     */
+    recalculate({objects}){
+        for(const object of objects){
+            increment(this.recalculations, object)
+        }
+    }
+
+    /**
+     * Returns the objects involved in the most dispatched events, along with their event counts.
+     *
+     * @param {number} count The maximum number of objects returned.
+     * @returns {Array<[PhysicsObject, number]>} Objects and their event counts, busiest first.
+     */
+    busiestObjects(count = Infinity){
+        return sortedCounts(this.objectEvents, count)
+    }
+    /**
+     * Returns the collision rules which produced the most dispatched collision events, along with their event counts.
+     *
+     * @param {number} count The maximum number of rules returned.
+     * @returns {Array<[CollisionRule, number]>} Rules and their event counts, busiest first.
+     */
+    busiestRules(count = Infinity){
+        return sortedCounts(this.ruleEvents, count)
+    }
+    /**
+     * Returns the objects whose collisions were recalculated the most, along with their recalculation counts.
+     *
+     * @param {number} count The maximum number of objects returned.
+     * @returns {Array<[PhysicsObject, number]>} Objects and their recalculation counts, most recalculated first.
+     */
+    mostRecalculated(count = Infinity){
+        return sortedCounts(this.recalculations, count)
+    }
+}
+
+/**
+ * @template T
+ * @param {Map<T, number>} counts
+ * @param {T} key
+ */
+function increment(counts, key){
+    counts.set(key, (counts.get(key) ?? 0) + 1)
+}
+
+/**
+ * @template T
+ * @param {Map<T, number>} counts
+ * @param {number} count
+ * @returns {Array<[T, number]>}
+ */
+function sortedCounts(counts, count){
+    return [...counts].sort((a, b) => b[1] - a[1]).slice(0, count)
+}
+
+export {RunToDiagnostics}
\ No newline at end of file
@@ -29,6 +29,27 @@ class ClockEvent {
      * @type {boolean}
      */
     valid
+    /**
+     * Breaks ties between events scheduled at the same time.
+     *
+     * Of events scheduled at the same time, those with a higher priority run first.
+     * Events with equal time and priority run in the order they were scheduled.
+     *
+     * Priority should not be modified while the event is scheduled.
+     *
+     * @type {number}
+     */
+    priority
+    /**
+     * The order in which this event was scheduled on its clock.
+     *
+     * Used to break ties between events with the same time and priority, so that events are always executed in the same order given the same inputs.
+     *
+     * This is assigned by {@link Clock#schedule} and should not be modified directly.
+     *
+     * @type {number}
+     */
+    sequence = -1
 
     /**
      * @param {number} time
@@ -42,11 +63,39 @@ class ClockEvent {
      * @param {?boolean} valid
      * Whether the event is valid.
      * See {@link ClockEvent#valid} for more info.
+     *
+     * @param {?number} priority
+     * Breaks ties between events scheduled at the same time.
+     * See {@link ClockEvent#priority} for more info.
      */
-    constructor(time, callback, valid = true){
+    constructor(time, callback, valid = true, priority = 0){
         this.time = time
         this.callback = callback
         this.valid = valid
+        this.priority = priority
+    }
+
+    /**
+     * The physics objects this event concerns.
+     *
+     * Used when tracing clock activity. Ordinary events don't concern any objects.
+     *
+     * @returns {Array<PhysicsObject>}
+     */
+    get objects(){
+        return []
+    }
+
+    /**
+     * Shifts this event's time back by an offset when its clock is rebased.
+     *
+     * This method is used internally by the clock and should not be called directly.
+     * Instead, use {@link Clock#rebase}.
+     *
+     * @param {number} offset
+     */
+    rebase(offset){
+        this.time -= offset
     }
 
     /**
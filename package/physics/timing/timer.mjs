@@ -0,0 +1,282 @@
+import {ClockEvent} from "./event.mjs"
+
+/**
+ * A timer runs a callback periodically on a {@link Clock}.
+ *
+ * Timers belong to the clock they are created on, and are listed in {@link Clock#timers} until they finish or are canceled.
+ * A timer can be paused and resumed, have its period changed while running, and can be limited to a number of iterations.
+ *
+ * Timers support {@link Clock#rollback}.
+ *
+ * Example usage:
+ *
+ * ```js
+ *
+ * const blink = new Timer(clock, 0, 0.5, () => {
+ *     light.toggle()
+ * }, {count: 6, onFinish: () => light.turnOff()})
+ *
+ * blink.pause()
+ * // Later
+ * blink.resume()
+ *
+ * clock.cancelTimers()
+ *
+ * ```
+ */
+class Timer {
+    /**
+     * The clock this timer runs on.
+     *
+     * @type {Clock}
+     */
+    clock
+    /**
+     * The callback run each iteration.
+     *
+     * It receives the clock and this timer, and may safely pause, cancel, or modify the timer.
+     *
+     * @type {function(Clock, Timer): void}
+     */
+    callback
+    /**
+     * The delay between iterations.
+     *
+     * This should not be modified directly.
+     * Use {@link Timer#setPeriod}.
+     *
+     * @type {number}
+     */
+    period
+    /**
+     * The number of iterations after which the timer finishes, or Infinity if it runs until canceled.
+     *
+     * @type {number}
+     */
+    count
+    /**
+     * The number of iterations run so far.
+     *
+     * @type {number}
+     */
+    iterations = 0
+    /**
+     * Called once the timer finishes its last iteration.
+     *
+     * Not called when the timer is canceled.
+     *
+     * @type {(function(Clock, Timer): void) | null}
+     */
+    onFinish
+    /**
+     * Whether this timer is paused.
+     *
+     * @type {boolean}
+     */
+    paused = false
+    /**
+     * The event which will run the next iteration, or null if none is scheduled.
+     *
+     * This field is used internally by the timer and should not be accessed directly.
+     *
+     * @type {ClockEvent | null}
+     */
+    event = null
+    /**
+     * The time left before the next iteration when the timer was paused.
+     *
+     * This field is used internally by the timer and should not be accessed directly.
+     *
+     * @type {number}
+     */
+    remaining = 0
+
+    /**
+     * Creates a timer on a clock.
+     *
+     * @param {Clock} clock The clock the timer runs on.
+     * @param {number} startTime The time of the first iteration.
+     * @param {number} period The delay between iterations.
+     * @param {function(Clock, Timer): void} callback The callback run each iteration.
+     * @param {Object} options
+     * @param {number} options.count The number of iterations after which the timer finishes. Runs until canceled by default.
+     * @param {?function(Clock, Timer): void} options.onFinish Called once the timer finishes its last iteration.
+     */
+    constructor(clock, startTime, period, callback, {count = Infinity, onFinish = null} = {}){
+        this.clock = clock
+        this.period = period
+        this.callback = callback
+        this.count = count
+        this.onFinish = onFinish
+
+        if(count <= 0) return
+
+        this.journal()
+        clock.timers.add(this)
+        this.scheduleAt(startTime)
+    }
+
+    /**
+     * Whether this timer will run again, including while paused.
+     *
+     * @returns {boolean}
+     */
+    get active(){
+        return this.clock.timers.has(this)
+    }
+
+    /**
+     * The time of the next iteration, or Infinity if the timer is paused or inactive.
+     *
+     * @returns {number}
+     */
+    get nextTime(){
+        return this.event ? this.event.time : Infinity
+    }
+
+    /**
+     * Pauses this timer.
+     *
+     * The time left before the next iteration is kept, and continues counting down once the timer is resumed.
+     *
+     * It is safe to pause a timer multiple times.
+     */
+    pause(){
+        if(this.paused || !this.active) return
+        this.journal()
+
+        this.remaining = this.event.time - this.clock.time
+        this.unschedule()
+        this.paused = true
+    }
+
+    /**
+     * Resumes this timer after it was paused.
+     *
+     * It is safe to resume a timer which isn't paused.
+     */
+    resume(){
+        if(!this.paused) return
+        this.journal()
+
+        this.paused = false
+        if(this.active) this.scheduleAt(this.clock.time + this.remaining)
+    }
+
+    /**
+     * Sets the delay between iterations.
+     *
+     * The next iteration is moved so that it occurs one new period after the previous one,
+     * or immediately if that time has already passed.
+     *
+     * @param {number} period
+     */
+    setPeriod(period){
+        this.journal()
+
+        if(this.paused){
+            this.remaining = Math.max(0, this.remaining + period - this.period)
+        }else if(this.event){
+            const time = this.event.time + period - this.period
+            this.unschedule()
+            this.scheduleAt(time)
+        }
+        this.period = period
+    }
+
+    /**
+     * Cancels this timer.
+     *
+     * The timer is removed from {@link Clock#timers}, and won't run again.
+     * {@link Timer#onFinish} is not called.
+     *
+     * It is safe to cancel a timer multiple times.
+     */
+    cancel(){
+        if(!this.active) return
+        this.journal()
+
+        this.unschedule()
+        this.clock.timers.delete(this)
+    }
+
+    /**
+     * Runs one iteration, and schedules the next.
+     *
+     * This method is used internally by the timer and should not be called directly.
+     */
+    iterate(){
+        this.journal()
+
+        const time = this.event.time
+        this.event = null
+        this.iterations++
+
+        const finished = this.count <= this.iterations
+        if(finished){
+            this.clock.timers.delete(this)
+        }else{
+            this.scheduleAt(time + this.period)
+        }
+
+        this.callback(this.clock, this)
+
+        if(finished && this.onFinish) this.onFinish(this.clock, this)
+    }
+
+    /**
+     * Schedules the next iteration, no earlier than the clock's current time.
+     *
+     * This method is used internally by the timer and should not be called directly.
+     *
+     * @param {number} time
+     */
+    scheduleAt(time){
+        this.event = new ClockEvent(Math.max(time, this.clock.time), clock => {
+            this.iterate()
+        })
+        this.clock.schedule(this.event)
+    }
+
+    /**
+     * Cancels the next iteration, if one is scheduled.
+     *
+     * This method is used internally by the timer and should not be called directly.
+     */
+    unschedule(){
+        if(this.event) this.event.valid = false
+        this.event = null
+    }
+
+    /**
+     * Records the state of this timer with the clock before it is modified, so it can be restored by {@link Clock#rollback}.
+     *
+     * This method is used internally by the timer and should not be called directly.
+     */
+    journal(){
+        this.clock.journal(this, () => {
+            const
+                period = this.period,
+                iterations = this.iterations,
+                paused = this.paused,
+                event = this.event,
+                remaining = this.remaining,
+                active = this.active
+
+            return () => {
+                this.period = period
+                this.iterations = iterations
+                this.paused = paused
+                this.event = event
+                this.remaining = remaining
+                if(active){
+                    this.clock.timers.add(this)
+                }else{
+                    this.clock.timers.delete(this)
+                }
+            }
+        })
+    }
+}
+
+export {Timer}
\ No newline at end of file
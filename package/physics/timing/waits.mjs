@@ -0,0 +1,91 @@
+import {ClockEvent} from "./event.mjs"
+
+/**
+ * Something that can be waited for on a {@link Clock}, such as {@link until}, {@link delay}, or {@link nextCollision}.
+ *
+ * Waits are yielded by a {@link Script}, or awaited with {@link Clock#waitFor}.
+ *
+ * A wait is a function which receives the clock and a callback resuming the waiting code, and returns a callback which stops waiting.
+ * The resume callback must be called from within the clock's cycle, usually from an event, and takes the value the wait results in.
+ *
+ * @typedef {function(Clock, function(*): void): function(): void} ScriptWait
+ */
+
+/**
+ * Waits until the clock reaches a time.
+ *
+ * If the time has already passed, the wait ends at the clock's current time, after any events already scheduled for it.
+ * The wait results in the clock's time.
+ *
+ * @param {number} time
+ * @returns {ScriptWait}
+ */
+function until(time){
+    return (clock, resume) => {
+        const event = new ClockEvent(Math.max(time, clock.time), clock => resume(clock.time))
+        clock.schedule(event)
+        return () => event.cancel()
+    }
+}
+
+/**
+ * Waits for a duration of clock time.
+ *
+ * The wait results in the clock's time.
+ *
+ * @param {number} duration
+ * @returns {ScriptWait}
+ */
+function delay(duration){
+    return (clock, resume) => until(clock.time + duration)(clock, resume)
+}
+
+/**
+ * Waits until an object is involved in a collision.
+ *
+ * The wait ends at the time of the collision, right after the collision rule's callback has run, from within the collision's event.
+ * It results in the {@link Collision}, or null if the timeout was reached first.
+ *
+ * The object must run on the same clock as the wait.
+ *
+ * @param {PhysicsObject} object The object to watch.
+ * @param {Object} options
+ * @param {?CollisionRule} options.rule If provided, only collisions produced by this rule are considered.
+ * @param {number} options.timeout The longest duration to wait for. Waits indefinitely by default.
+ * @returns {ScriptWait}
+ */
+function nextCollision(object, {rule = null, timeout = Infinity} = {}){
+    return (clock, resume) => {
+        /** @type {ClockEvent | null} */
+        let event = null
+
+        /**
+         * @param {Collision} collision
+         * @param {CollisionRule} collisionRule
+         */
+        function listener(collision, collisionRule){
+            if(rule && collisionRule != rule) return
+
+            stop()
+            resume(collision)
+        }
+        object.addCollisionListener(listener)
+
+        if(timeout != Infinity){
+            event = new ClockEvent(clock.time + timeout, () => {
+                object.deleteCollisionListener(listener)
+                resume(null)
+            })
+            clock.schedule(event)
+        }
+
+        function stop(){
+            object.deleteCollisionListener(listener)
+            if(event) event.cancel()
+        }
+
+        return stop
+    }
+}
+
+export {until, delay, nextCollision}
\ No newline at end of file
@@ -1,5 +1,214 @@
 import {Transform} from "@darcyvilkner/2d-geometry"
 import {V2} from "@darcyvilkner/2d-geometry"
+import {ClockEvent} from "./timing/event.mjs"
+import {copyTransform, copyV2, float64Transform, newV2} from "../util/float64.mjs"
+
+/**
+ * An error triggered when {@link Trajectory#attach} would make a trajectory its own ancestor.
+ */
+class TrajectoryCycleError extends Error {
+    constructor(){
+        super(`A trajectory can't be attached to itself or to one of its descendants.`)
+        this.name = "TrajectoryCycleError"
+    }
+}
+
+/**
+ * An error triggered when attaching or modifying a trajectory would make a child's world-space motion more than quadratic in time.
+ *
+ * Trajectories can only represent transforms up to quadratic in time, so these compositions can't be kept exact.
+ * They occur when acceleration on one side of the attachment is combined with motion which rotates or scales on the other,
+ * such as an accelerating child on a rotating parent.
+ */
+class CompositionDegreeError extends Error {
+    constructor(){
+        super(`Composing a trajectory with its parent would produce motion which is more than quadratic in time. Accelerations can't be combined with rotating or scaling motion across an attachment.`)
+        this.name = "CompositionDegreeError"
+    }
+}
+
+/**
+ * An error triggered when {@link Trajectory#transformAt} or {@link Trajectory#posAt} is asked about a time the trajectory has no record of.
+ */
+class HistoryUnavailableError extends Error {
+    /**
+     * The time requested.
+     *
+     * @type {number}
+     */
+    time
+    /**
+     * The earliest time the trajectory could answer for.
+     *
+     * @type {number}
+     */
+    earliestTime
+
+    /**
+     * @param {number} time
+     * @param {number} earliestTime
+     * @param {number} currentTime
+     */
+    constructor(time, earliestTime, currentTime){
+        super(
+            currentTime < time
+                ? `The time requested is in the future (current: ${currentTime}, requested: ${time}).`
+                : `The time requested is before the trajectory's recorded history (earliest: ${earliestTime}, requested: ${time}). Use Trajectory#recordHistory to keep more history.`
+        )
+        this.name = "HistoryUnavailableError"
+        this.time = time
+        this.earliestTime = earliestTime
+    }
+}
+
+/**
+ * A past segment of a trajectory, recorded by {@link Trajectory#recordHistory}.
+ *
+ * The segment holds the state of the trajectory as the segment ended.
+ * Since trajectories are quadratic in time, this is enough to find any transform during the segment.
+ *
+ * @typedef {Object} HistorySegment
+ * @property {number} end The time the segment ended, offset by the clock's {@link Clock#timeOrigin} so that it survives rebasing.
+ * @property {Transform} base
+ * @property {Transform} motion
+ * @property {Transform} acceleration
+ */
+
+/**
+ * The transform, motion, and acceleration of a trajectory at a single moment.
+ *
+ * @typedef {Object} TrajectoryState
+ * @property {Transform} base
+ * @property {Transform} motion
+ * @property {Transform} acceleration
+ */
+
+/**
+ * @param {boolean} float64
+ * @returns {Transform}
+ */
+function zeroTransform(float64){
+    return float64 ? float64Transform() : Transform.zero()
+}
+
+/**
+ * Sets a transform to the composition of two others, applying inner and then outer.
+ *
+ * Derivatives of transforms, like motions, map points to velocities, which aren't moved by translations.
+ * So the translation of outer is only carried through if inner is a transform rather than a derivative.
+ *
+ * @param {Transform} dst
+ * @param {Transform} outer
+ * @param {Transform} inner
+ * @param {boolean} innerIsTransform
+ * @returns {Transform} dst
+ */
+function composeInto(dst, outer, inner, innerIsTransform){
+    const
+        [oax, oay, obx, oby, opx, opy] = outer.arr,
+        [iax, iay, ibx, iby, ipx, ipy] = inner.arr,
+        w = innerIsTransform ? 1 : 0
+
+    dst.arr[0] = oax * iax + obx * iay
+    dst.arr[1] = oay * iax + oby * iay
+    dst.arr[2] = oax * ibx + obx * iby
+    dst.arr[3] = oay * ibx + oby * iby
+    dst.arr[4] = oax * ipx + obx * ipy + opx * w
+    dst.arr[5] = oay * ipx + oby * ipy + opy * w
+    return dst
+}
+
+/**
+ * Composes the state of a child relative to its parent into world space.
+ *
+ * Differentiating the composition P ∘ L gives P' ∘ L + P ∘ L', and P'' ∘ L + 2 P' ∘ L' + P ∘ L'', along with higher terms which must vanish.
+ *
+ * @param {TrajectoryState} parent
+ * @param {TrajectoryState} local
+ * @param {boolean} float64
+ * @returns {TrajectoryState}
+ *
+ * @throws {CompositionDegreeError} if the composition is more than quadratic in time.
+ */
+function composeStates(parent, local, float64){
+    const
+        temp = zeroTransform(float64),
+        base = composeInto(zeroTransform(float64), parent.base, local.base, true),
+        motion = composeInto(zeroTransform(float64), parent.motion, local.base, true)
+            .add(composeInto(temp, parent.base, local.motion, false)),
+        acceleration = composeInto(zeroTransform(float64), parent.acceleration, local.base, true)
+            .addScaled(composeInto(temp, parent.motion, local.motion, false), 2)
+            .add(composeInto(temp, parent.base, local.acceleration, false)),
+
+        // proportional to the third and fourth derivatives
+        jerk = composeInto(zeroTransform(float64), parent.acceleration, local.motion, false)
+            .add(composeInto(temp, parent.motion, local.acceleration, false)),
+        snap = composeInto(temp, parent.acceleration, local.acceleration, false)
+
+    if(jerk.arr.some(component => component != 0) || snap.arr.some(component => component != 0)){
+        throw new CompositionDegreeError()
+    }
+
+    return {base, motion, acceleration}
+}
+
+/**
+ * Zeroes the components of a difference which are within rounding error of the terms it was computed from.
+ *
+ * Without this, a child whose relative motion should cancel out exactly would be left with a residue, which could fail {@link composeStates}.
+ *
+ * @param {Transform} difference
+ * @param {Array<Transform>} terms
+ * @param {boolean} float64
+ * @returns {Transform} difference
+ */
+function cancelResidue(difference, terms, float64){
+    const epsilon = float64 ? 1e-12 : 1e-6
+    for(let i = 0; i < 6; i++){
+        const scale = terms.reduce((sum, term) => sum + Math.abs(term.arr[i]), 0)
+        if(Math.abs(difference.arr[i]) <= scale * epsilon) difference.arr[i] = 0
+    }
+    return difference
+}
+
+/**
+ * Finds the state of a child relative to its parent from its state in world space, inverting {@link composeStates}.
+ *
+ * @param {TrajectoryState} parent
+ * @param {TrajectoryState} world
+ * @param {boolean} float64
+ * @returns {TrajectoryState}
+ *
+ * @throws {CompositionDegreeError} if the composition is more than quadratic in time.
+ */
+function relativeState(parent, world, float64){
+    const
+        inverse = copyTransform(parent.base, float64).invert(),
+        base = composeInto(zeroTransform(float64), inverse, world.base, true),
+        carriedMotion = composeInto(zeroTransform(float64), parent.motion, base, true),
+        motion = composeInto(
+            zeroTransform(float64),
+            inverse,
+            cancelResidue(copyTransform(world.motion, float64).sub(carriedMotion), [world.motion, carriedMotion], float64),
+            false,
+        ),
+        carriedAcceleration = composeInto(zeroTransform(float64), parent.acceleration, base, true),
+        coupling = composeInto(zeroTransform(float64), parent.motion, motion, false).scale(2),
+        acceleration = composeInto(
+            zeroTransform(float64),
+            inverse,
+            cancelResidue(
+                copyTransform(world.acceleration, float64).sub(carriedAcceleration).sub(coupling),
+                [world.acceleration, carriedAcceleration, coupling],
+                float64,
+            ),
+            false,
+        ),
+        local = {base, motion, acceleration}
+
+    composeStates(parent, local, float64)
+    return local
+}
 
 /**
  * Trajectories control the position and motion of objects over time.
@@ -7,11 +216,25 @@ import {V2} from "@darcyvilkner/2d-geometry"
  * Trajectories represent movement as a {@link Transform} (transformation matrix) changing linearly over time.
  * The rate at which the transform changes is referred to as the *motion* of the trajectory, and is also represented with a Transform.
  *
+ * Trajectories may also have a constant *acceleration*, the rate at which the motion changes, making the transform quadratic in time.
+ * This models ballistic motion, like gravity, exactly, and collisions with accelerating trajectories remain exact.
+ *
+ * Since the transform changes linearly, a motion that rotates an object also shears and scales it over time.
+ * To keep a true rotation, use {@link Trajectory#setAngularVelocity} or {@link Trajectory#rotateAbout},
+ * which approximate the rotation with a series of chords, re-linearizing the motion at the end of each one.
+ *
+ * Trajectories can be attached to a parent with {@link Trajectory#attach}, so that they move along with it, like a turret on a tank or a rider on a platform.
+ * All methods continue to work in world space, and the parent's movement is composed with the child's exactly.
+ *
  * The transform and motion of a trajectory is modified through {@link Trajectory#setTransform} and {@link Trajectory#setMotion}.
  * A number of convenience methods are also provided for common operations like translation, velocity changing, and linear interpolation.
  * 
  * Any modification to a trajectory will trigger collision recalculations for all objects that use it.
  *
+ * By default, transforms are stored with single precision, like all Transforms.
+ * Scenes which need collisions to stay exact over many interactions can construct trajectories with `float64` set,
+ * in which case the trajectory and the collision math involving it use double precision.
+ *
  * Example of continuous rotation:
  *
  * ```js
@@ -20,216 +243,1447 @@ import {V2} from "@darcyvilkner/2d-geometry"
  *     clk = new Clock(),
  *     trajectory = new Trajectory(clk, Transform.identity())
  *
- * let angle = 0
- * const
- *     angularFreq = 1,
- *     dt = 0.1
- *
- * scheduleLoop(clk, 0, dt, clock => {
- *     angle += angularFreq * dt
- *     trajectory.transformTo(Transform.rotate(angle), dt)
- * })
+ * trajectory.setAngularVelocity(1)
  *
  * ```
  */
 class Trajectory {
     /**
-     * The clock that drives the transform's time evolution.
-     *
-     * This reference is fixed for the lifetime of the trajectory.
+     * The clock that drives the transform's time evolution.
+     *
+     * This reference is fixed for the lifetime of the trajectory.
+     *
+     * @type {Clock}
+     */
+    clock
+    /**
+     * The transform at the time specified by {@link Trajectory#time}.
+     *
+     * This field is used internally by the trajectory and should not be accessed directly.
+     *
+     * @type {Transform}
+     */
+    base
+    /**
+     * The rate of change of the transform over time.
+     *
+     * This field is used internally by the trajectory and should not be accessed directly.
+     *
+     * @type {Transform}
+     */
+    motion
+    /**
+     * The rate of change of the motion over time.
+     *
+     * This field is used internally by the trajectory and should not be accessed directly.
+     *
+     * @type {Transform}
+     */
+    acceleration
+    /**
+     * All physics objects that use this trajectory.
+     *
+     * This should not be modified directly.
+     * Instead, use {@link PhysicsObject#setTrajectory}.
+     *
+     * @type {Set<PhysicsObject>}
+     */
+    dependants
+    /**
+     * Whether this trajectory stores its transforms with double precision.
+     *
+     * This reference is fixed for the lifetime of the trajectory.
+     *
+     * @type {boolean}
+     */
+    float64
+    /**
+     * The time at which this trajectory's transform was {@link Trajectory#base}, as of {@link Trajectory#epoch}.
+     *
+     * This field is used internally by the trajectory and should not be accessed directly.
+     * Instead, use {@link Trajectory#time}.
+     *
+     * @type {number}
+     */
+    baseTime
+    /**
+     * The clock's {@link Clock#timeOrigin} when {@link Trajectory#baseTime} was last brought up to date.
+     *
+     * Rebasing the clock doesn't visit every trajectory, so each trajectory catches up the next time its time is read.
+     *
+     * This field is used internally by the trajectory and should not be accessed directly.
+     *
+     * @type {number}
+     */
+    epoch = 0
+    /**
+     * The rate at which the trajectory rotates about {@link Trajectory#pivot}, in radians per unit time.
+     *
+     * This should not be modified directly.
+     * Use {@link Trajectory#setAngularVelocity} or {@link Trajectory#rotateAbout}.
+     *
+     * @type {number}
+     */
+    angularVelocity = 0
+    /**
+     * The point in geometry space which the trajectory rotates about, or null if it has never rotated.
+     *
+     * This should not be modified directly.
+     *
+     * @type {V2 | null}
+     */
+    pivot = null
+    /**
+     * The furthest any point may stray from its true circular path while rotating, as a fraction of its distance from the pivot.
+     *
+     * This should not be modified directly.
+     *
+     * @type {number}
+     */
+    maxAngularError = 0.001
+    /**
+     * The duration of each chord of the rotation.
+     *
+     * This field is used internally by the trajectory and should not be accessed directly.
+     *
+     * @type {number}
+     */
+    rotationStep = 0
+    /**
+     * The number of chords left in the rotation after the current one, or Infinity if it continues indefinitely.
+     *
+     * This field is used internally by the trajectory and should not be accessed directly.
+     *
+     * @type {number}
+     */
+    rotationSegments = 0
+    /**
+     * The event which will re-linearize the rotation at the end of the current chord, or null if the trajectory isn't rotating.
+     *
+     * This field is used internally by the trajectory and should not be accessed directly.
+     *
+     * @type {ClockEvent | null}
+     */
+    rotationEvent = null
+    /**
+     * The angle turned over the current chord of the rotation.
+     *
+     * This field is used internally by the trajectory and should not be accessed directly.
+     *
+     * @type {number}
+     */
+    rotationAngle = 0
+    /**
+     * The rate at which the velocity of the trajectory decays, as a fraction per unit time.
+     *
+     * This should not be modified directly.
+     * Use {@link Trajectory#setDamping}.
+     *
+     * @type {number}
+     */
+    linearDamping = 0
+    /**
+     * The rate at which the angular velocity of the trajectory decays, as a fraction per unit time.
+     *
+     * This should not be modified directly.
+     * Use {@link Trajectory#setDamping}.
+     *
+     * @type {number}
+     */
+    angularDamping = 0
+    /**
+     * The furthest the trajectory may stray from its true damped path, as a distance.
+     *
+     * This should not be modified directly.
+     *
+     * @type {number}
+     */
+    maxDampingError = 0.001
+    /**
+     * The velocity of the pivot on the true damped path at the start of the current damping segment.
+     *
+     * This field is used internally by the trajectory and should not be accessed directly.
+     *
+     * @type {V2 | null}
+     */
+    dampingVelocity = null
+    /**
+     * The acceleration of the pivot which the damping has taken over from {@link Trajectory#acceleration}, or null if the velocity isn't being damped.
+     *
+     * The damping follows it toward a terminal velocity itself, since a segment which kept accelerating would stray from the true path however short it was.
+     *
+     * This field is used internally by the trajectory and should not be accessed directly.
+     *
+     * @type {V2 | null}
+     */
+    dampingAcceleration = null
+    /**
+     * The duration of the current damping segment.
+     *
+     * This field is used internally by the trajectory and should not be accessed directly.
+     *
+     * @type {number}
+     */
+    dampingStep = 0
+    /**
+     * The event which will plan the next damping segment, or null if the velocity isn't being damped.
+     *
+     * This field is used internally by the trajectory and should not be accessed directly.
+     *
+     * @type {ClockEvent | null}
+     */
+    dampingEvent = null
+    /**
+     * Whether the trajectory is being modified by its own rotation or damping, rather than from outside.
+     *
+     * This field is used internally by the trajectory and should not be accessed directly.
+     *
+     * @type {boolean}
+     */
+    steering = false
+    /**
+     * The fastest the pivot may move, as a distance per unit time.
+     *
+     * This should not be modified directly.
+     * Use {@link Trajectory#setLimits}.
+     *
+     * @type {number}
+     */
+    maxSpeed = Infinity
+    /**
+     * The fastest the trajectory may rotate, in radians per unit time.
+     *
+     * This should not be modified directly.
+     * Use {@link Trajectory#setLimits}.
+     *
+     * @type {number}
+     */
+    maxAngularRate = Infinity
+    /**
+     * The fastest the trajectory may grow or shrink, as a fraction of its size per unit time.
+     *
+     * This should not be modified directly.
+     * Use {@link Trajectory#setLimits}.
+     *
+     * @type {number}
+     */
+    maxScaleRate = Infinity
+    /**
+     * Called whenever a change to the motion is clamped by one of the limits.
+     *
+     * Receives the trajectory, the limit which was exceeded, and the rate which was requested.
+     * The callback runs while the trajectory is being modified, so it shouldn't modify the trajectory itself.
+     *
+     * @type {(function(Trajectory, "speed" | "angularRate" | "scaleRate", number): void) | null}
+     */
+    onClamp = null
+    /**
+     * The trajectory this trajectory is attached to, or null if it isn't attached.
+     *
+     * This should not be modified directly.
+     * Use {@link Trajectory#attach} and {@link Trajectory#detach}.
+     *
+     * @type {Trajectory | null}
+     */
+    parent = null
+    /**
+     * The trajectories attached to this trajectory.
+     *
+     * This should not be modified directly.
+     *
+     * @type {Set<Trajectory>}
+     */
+    children = new Set()
+    /**
+     * The state of this trajectory relative to its parent, as of {@link Trajectory#time}, or null if it isn't attached.
+     *
+     * The fields {@link Trajectory#base}, {@link Trajectory#motion}, and {@link Trajectory#acceleration} always hold the composed state in world space.
+     *
+     * This field is used internally by the trajectory and should not be accessed directly.
+     *
+     * @type {TrajectoryState | null}
+     */
+    local = null
+    /**
+     * A ring buffer of the most recent past segments of this trajectory, or null if history isn't being recorded.
+     *
+     * This should not be modified directly.
+     * Use {@link Trajectory#recordHistory}.
+     *
+     * @type {Array<HistorySegment> | null}
+     */
+    history = null
+    /**
+     * The index in {@link Trajectory#history} of the oldest segment.
+     *
+     * This field is used internally by the trajectory and should not be accessed directly.
+     *
+     * @type {number}
+     */
+    historyHead = 0
+    /**
+     * The number of segments in {@link Trajectory#history}.
+     *
+     * This field is used internally by the trajectory and should not be accessed directly.
+     *
+     * @type {number}
+     */
+    historyLength = 0
+    /**
+     * The earliest time covered by {@link Trajectory#history}, offset by the clock's {@link Clock#timeOrigin} like {@link HistorySegment#end}.
+     *
+     * This field is used internally by the trajectory and should not be accessed directly.
+     *
+     * @type {number}
+     */
+    historyStart = 0
+
+    /**
+     * Constructs a new {@link Trajectory}.
+     * @param {Clock} clock The clock that drives the transform's time evolution.
+     * @param {?Transform} base The initial transform.
+     * @param {?Transform} motion The initial rate of change of the transform.
+     * @param {boolean} float64
+     * Whether transforms are stored with double precision.
+     * If set, base and motion are copied rather than stored by reference.
+     */
+    constructor(clock, base = Transform.identity(), motion = Transform.zero(), float64 = false){
+        this.clock = clock
+        this.float64 = float64
+        this.base = float64 ? copyTransform(base, true) : base
+        this.motion = float64 ? copyTransform(motion, true) : motion
+        this.acceleration = float64 ? copyTransform(Transform.zero(), true) : Transform.zero()
+        /** @type {Set<PhysicsObject>} */
+        this.dependants = new Set()
+        this.time = clock.time
+    }
+
+    /**
+     * The time at which this trajectory's transform was {@link Trajectory#base}.
+     *
+     * This property is used internally by the trajectory and should not be accessed directly.
+     *
+     * @returns {number}
+     */
+    get time(){
+        if(this.epoch != this.clock.timeOrigin){
+            this.baseTime -= this.clock.timeOrigin - this.epoch
+            this.epoch = this.clock.timeOrigin
+        }
+        return this.baseTime
+    }
+    /**
+     * @param {number} time
+     */
+    set time(time){
+        this.baseTime = time
+        this.epoch = this.clock.timeOrigin
+    }
+
+    /**
+     * Whether this trajectory has a nonzero acceleration.
+     *
+     * @returns {boolean}
+     */
+    get accelerating(){
+        return this.acceleration.arr.some(component => component != 0)
+    }
+
+    /**
+     * Whether this trajectory has any limits set with {@link Trajectory#setLimits}.
+     *
+     * @returns {boolean}
+     */
+    get limited(){
+        return this.maxSpeed < Infinity || this.maxAngularRate < Infinity || this.maxScaleRate < Infinity
+    }
+
+    /**
+     * Advances {@link Trajectory#base} and {@link Trajectory#motion} to the current clock time.
+     *
+     * This method is used internally be the trajectory and should not be called directly.
+     */
+    updateToPresent(){
+        const dt = this.clock.time - this.time
+        this.base.addScaled(this.motion, dt).addScaled(this.acceleration, dt ** 2 / 2)
+        this.motion.addScaled(this.acceleration, dt)
+        if(this.local){
+            this.local.base.addScaled(this.local.motion, dt).addScaled(this.local.acceleration, dt ** 2 / 2)
+            this.local.motion.addScaled(this.local.acceleration, dt)
+        }
+        this.time = this.clock.time
+    }
+
+    /**
+     * Safely modifies the transform state.
+     *
+     * The properties {@link Trajectory#base}, {@link Trajectory#motion}, and {@link Trajectory#acceleration} can be modified within this callback.
+     *
+     * If the trajectory is attached, its state relative to its parent is updated to match.
+     * The trajectories attached to it are moved along with it.
+     *
+     * This method is used internally by the trajectory and should not be called directly.
+     * Instead, use {@link Trajectory#setTransform} and {@link Trajectory#setMotion}.
+     *
+     * The new motion is clamped to the trajectory's limits, unless the modification comes from its own rotation, damping, or keyframes.
+     *
+     * @param {function(): void} callback
+     *
+     * @throws {CompositionDegreeError} if the modification would make an attached trajectory more than quadratic in time.
+     * The modification is undone first.
+     */
+    modify(callback){
+        this.journal()
+        this.updateToPresent()
+
+        if(!this.steering && this.limited){
+            const change = callback
+            callback = () => {
+                change()
+                this.clampMotion()
+            }
+        }
+
+        // changes from outside to the pivot's velocity carry over to its true damped velocity
+        const
+            damped = this.linearDamping != 0 && !this.steering,
+            reference = damped ? this.referencePoint() : null,
+            velocity = damped ? this.velOf(reference) : null,
+            dampedVelocity = damped ? this.dampedVelocity() : null,
+            acceleration = damped ? copyV2(reference).applyTransform(this.acceleration) : null,
+            taken = damped ? this.dampingAcceleration : null
+
+        // the acceleration taken over by the damping is handed back for the change, so that setting the acceleration replaces it
+        if(taken){
+            const change = callback
+            callback = () => {
+                this.acceleration.p.addVec(taken)
+                change()
+                this.acceleration.p.subVec(taken)
+            }
+        }
+
+        if(!this.parent && this.children.size == 0){
+            this.recordSegment(this)
+            callback()
+        }else{
+            this.modifyHierarchy(callback)
+        }
+
+        if(damped){
+            const newVelocity = this.velOf(reference)
+            if(!newVelocity.equals(velocity)){
+                this.planDamping(dampedVelocity.addVec(newVelocity.subVec(velocity)))
+            }else if(!copyV2(reference).applyTransform(this.acceleration).equals(acceleration)){
+                this.planDamping(dampedVelocity)
+            }
+        }
+        this.recalculateCollisions()
+    }
+
+    /**
+     * Runs a modification of a trajectory which is attached to a parent or has children, keeping the hierarchy consistent.
+     *
+     * This method is used internally by the trajectory and should not be called directly.
+     *
+     * @param {function(): void} callback
+     *
+     * @throws {CompositionDegreeError} if the modification would make an attached trajectory more than quadratic in time.
+     * The modification is undone first.
+     */
+    modifyHierarchy(callback){
+        const previous = this.presentState()
+        callback()
+
+        let local = null
+        /** @type {Array<[Trajectory, TrajectoryState]>} */
+        const updates = []
+        try{
+            if(this.parent) local = relativeState(this.parent.presentState(), this.presentState(), this.float64)
+            this.planDescendants(this.presentState(), updates)
+        }catch(error){
+            this.base.set(previous.base)
+            this.motion.set(previous.motion)
+            this.acceleration.set(previous.acceleration)
+            throw error
+        }
+
+        this.recordSegment(previous)
+        if(local) this.local = local
+        for(const [descendant, state] of updates){
+            descendant.applyState(state)
+        }
+    }
+
+    /**
+     * Attaches this trajectory to a parent, so that it moves along with it.
+     *
+     * The world-space transform of this trajectory becomes its local transform followed by the parent's transform.
+     * Changes to the parent carry through to this trajectory, and to anything attached to it, and queue collision recalculation for their objects.
+     * All methods of this trajectory continue to work in world space.
+     *
+     * By default, the current world-space transform and motion are kept, and the local state is whatever matches them.
+     * If a local transform is provided, the trajectory is instead placed at that transform relative to the parent, and moves rigidly with it.
+     *
+     * The parent must run on the same clock, and its transform must be invertible.
+     * If this trajectory is already attached to a parent, it is moved to the new one.
+     *
+     * Attachments are not saved by {@link saveWorld}.
+     *
+     * Example usage:
+     *
+     * ```js
+     *
+     * turret.trajectory.attach(tank.trajectory, Transform.translateVals(0, 1))
+     * turret.trajectory.setAngularVelocity(0.5)
+     *
+     * tank.trajectory.setVel(3, 0) // The turret keeps turning as it's carried along.
+     *
+     * ```
+     *
+     * @param {Trajectory} parent The trajectory to attach to.
+     * @param {?Transform} local The transform relative to the parent.
+     *
+     * @throws {TrajectoryCycleError} if the parent is this trajectory or one of its descendants.
+     * @throws {CompositionDegreeError} if the composed motion would be more than quadratic in time.
+     */
+    attach(parent, local = null){
+        for(let ancestor = parent; ancestor; ancestor = ancestor.parent){
+            if(ancestor == this) throw new TrajectoryCycleError()
+        }
+
+        this.journal()
+        this.updateToPresent()
+
+        const
+            parentState = parent.presentState(),
+            localState = local
+                ? {base: copyTransform(local, this.float64), motion: zeroTransform(this.float64), acceleration: zeroTransform(this.float64)}
+                : relativeState(parentState, this.presentState(), this.float64),
+            state = composeStates(parentState, localState, this.float64),
+            /** @type {Array<[Trajectory, TrajectoryState]>} */
+            updates = []
+        this.planDescendants(state, updates)
+
+        this.recordSegment(this)
+        if(this.parent) this.parent.children.delete(this)
+        this.parent = parent
+        parent.children.add(this)
+        this.local = localState
+
+        this.base.set(state.base)
+        this.motion.set(state.motion)
+        this.acceleration.set(state.acceleration)
+        for(const [descendant, descendantState] of updates){
+            descendant.applyState(descendantState)
+        }
+        this.recalculateCollisions()
+    }
+
+    /**
+     * Detaches this trajectory from its parent.
+     *
+     * The current world-space transform, motion, and acceleration are kept, so the trajectory carries on with the movement it inherited.
+     *
+     * It is safe to detach a trajectory which isn't attached.
+     */
+    detach(){
+        if(!this.parent) return
+        this.journal()
+        this.updateToPresent()
+
+        this.parent.children.delete(this)
+        this.parent = null
+        this.local = null
+    }
+
+    /**
+     * Returns copies of the world-space transform, motion, and acceleration at the current time.
+     *
+     * This method is used internally by the trajectory and should not be called directly.
+     *
+     * @returns {TrajectoryState}
+     */
+    presentState(){
+        return {
+            base: this.getTransform(),
+            motion: this.getMotion(),
+            acceleration: copyTransform(this.acceleration),
+        }
+    }
+
+    /**
+     * Computes the state of every descendant given a new state of this trajectory, without modifying anything.
+     *
+     * This method is used internally by the trajectory and should not be called directly.
+     *
+     * @param {TrajectoryState} state The new world-space state of this trajectory at the current time.
+     * @param {Array<[Trajectory, TrajectoryState]>} updates Receives each descendant along with its new world-space state.
+     *
+     * @throws {CompositionDegreeError} if a descendant would be more than quadratic in time.
+     */
+    planDescendants(state, updates){
+        for(const child of this.children){
+            const
+                dt = this.clock.time - child.time,
+                local = {
+                    base: copyTransform(child.local.base).addScaled(child.local.motion, dt).addScaled(child.local.acceleration, dt ** 2 / 2),
+                    motion: copyTransform(child.local.motion).addScaled(child.local.acceleration, dt),
+                    acceleration: child.local.acceleration,
+                },
+                childState = composeStates(state, local, child.float64)
+
+            updates.push([child, childState])
+            child.planDescendants(childState, updates)
+        }
+    }
+
+    /**
+     * Sets the world-space state of this trajectory after its parent has moved, keeping its local state.
+     *
+     * This method is used internally by the trajectory and should not be called directly.
+     *
+     * @param {TrajectoryState} state
+     */
+    applyState(state){
+        this.journal()
+        this.updateToPresent()
+        this.recordSegment(this)
+        this.base.set(state.base)
+        this.motion.set(state.motion)
+        this.acceleration.set(state.acceleration)
+        this.recalculateCollisions()
+    }
+
+    /**
+     * Returns the {@link Transform} currently applied to objects.
+     *
+     * @returns {Transform}
+     */
+    getTransform(){
+        const dt = this.clock.time - this.time
+        return copyTransform(this.base).addScaled(this.motion, dt).addScaled(this.acceleration, dt ** 2 / 2)
+    }
+    /**
+     * Sets the {@link Transform} of the trajectory.
+     *
+     * The transform takes effect at the current time, as with every other modification.
+     *
+     * @param {Transform} base
+     * The current transform.
+     * @param {?Transform} motion
+     * The change in the transform over time.
+     * If not provided, the previous motion is used.
+     */
+    setTransform(base, motion = null){
+        this.modify(() => {
+            this.base.set(base)
+            if(motion) this.motion.set(motion)
+        })
+    }
+    /**
+     * Returns the current rate of change of the transform.
+     *
+     * @returns {Transform}
+     */
+    getMotion(){
+        return copyTransform(this.motion).addScaled(this.acceleration, this.clock.time - this.time)
+    }
+    /**
+     * Sets the rate of change of the transform.
+     *
+     * @param {Transform} motion The new rate of change of the transform.
+     */
+    setMotion(motion){
+        this.modify(() => {
+            this.motion.set(motion)
+        })
+    }
+    /**
+     * Returns the rate of change of the motion.
+     *
+     * This includes any acceleration which {@link Trajectory#setDamping} has taken over, even though the trajectory doesn't follow it directly.
+     *
+     * @returns {Transform}
+     */
+    getAcceleration(){
+        const acceleration = copyTransform(this.acceleration)
+        if(this.dampingAcceleration) acceleration.p.addVec(this.dampingAcceleration)
+        return acceleration
+    }
+    /**
+     * Sets the rate of change of the motion.
+     *
+     * @param {Transform} acceleration The new rate of change of the motion.
+     */
+    setAcceleration(acceleration){
+        this.modify(() => {
+            this.acceleration.set(acceleration)
+        })
+    }
+    /**
+     * Sets the change over time of the translational velocity of the trajectory, such as gravity, without affecting other acceleration.
+     *
+     * @param {...VectorConstructionType} args
+     * Takes any arguments that can construct a V2 with {@link V2#new}.
+     */
+    setAccel(...args){
+        this.modify(() => {
+            this.acceleration.p.set(newV2(this.float64, ...args))
+        })
+    }
+
+    /**
+     * Sets the motion of the trajectory so that transform reaches a given target at a certain time.
+     *
+     * The acceleration of the trajectory is accounted for.
+     * Note that the motion won't stop once the target is reached.
+     * To halt or change motion use {@link Trajectory#setMotion}, {@link Trajectory#setTransform}, {@link Trajectory#stop}, or another transformTo call.
+     *
+     * @param {Transform} transform
+     * The target transform.
+     * @param {number} time
+     * The duration that it will take to reach the target transform.
+     */
+    transformTo(transform, time){
+        this.setMotion(
+            copyTransform(transform, this.float64)
+                .sub(this.getTransform())
+                .addScaled(this.acceleration, -(time ** 2) / 2)
+                .scale(1 / time)
+        )
+    }
+    /**
+     * Halts the trajectory, setting both its motion and acceleration to zero, and ending any rotation.
+     */
+    stop(){
+        this.journal()
+        this.settleRotation()
+        this.angularVelocity = 0
+        this.dampingAcceleration = null
+        this.steer(() => this.modify(() => {
+            this.motion.zero()
+            this.acceleration.zero()
+        }))
+        // the true damped velocity is set outright, rather than changed
+        if(this.linearDamping != 0) this.planDamping(this.velOf(this.referencePoint()))
+    }
+    /**
+     * Stops the trajectory with {@link Trajectory#stop}, returning a callback which restores the motion and acceleration it had.
+     *
+     * Subclasses which follow their own schedule should extend this, so that they resume it rather than staying stopped.
+     *
+     * This method is used internally by {@link PhysicsObject#freeze} and should not be called directly.
+     *
+     * @returns {function(): void}
+     */
+    pause(){
+        const
+            motion = this.getMotion(),
+            acceleration = this.getAcceleration()
+        this.stop()
+
+        return () => {
+            this.setMotion(motion)
+            this.setAcceleration(acceleration)
+        }
+    }
+
+    /**
+     * Translates the trajectory by the given vector.
+     *
+     * @param {...VectorConstructionType} args
+     * Takes any arguments that can construct a V2 with {@link V2#new}.
+     */
+    translate(...args){
+        this.modify(() => {
+            this.base.p.add(newV2(this.float64, ...args))
+        })
+    }
+    /**
+     * Sets the translation component of the transformation without affecting motion.
+     *
+     * @param {...VectorConstructionType} args
+     * Takes any arguments that can construct a V2 with {@link V2#new}.
+     *
+     * @returns {Trajectory}
+     * This trajectory. Enables chaining.
+     */
+    setPos(...args){
+        this.modify(() => {
+            this.base.p.set(newV2(this.float64, ...args))
+        })
+        return this
+    }
+    /**
+     * Adds to the current translational velocity of the trajectory.
+     *
+     * @param {...VectorConstructionType} args
+     * Takes any arguments that can construct a V2 with {@link V2#new}.
+     */
+    impulse(...args){
+        this.modify(() => {
+            this.motion.p.add(newV2(this.float64, ...args))
+        })
+    }
+    /**
+     * Sets the change over time of the translation component of the trajectory.
+     * If an object has no affine motion, this is the same as setting the velocity of the trajectory.
+     * 
+     * @param {...VectorConstructionType} args
+     * The new change over time of the translation component of the trajectory.
+     *
+     * Takes any arguments that can construct a V2 with {@link V2#new}.
+     */
+    setVel(...args){
+        this.steer(() => this.modify(() => {
+            this.motion.p.set(newV2(this.float64, ...args))
+            if(this.limited) this.clampMotion()
+        }))
+        // the true damped velocity is set outright, rather than changed
+        if(this.linearDamping != 0) this.planDamping(this.velOf(this.referencePoint()))
+    }
+
+    /**
+     * Rotates the trajectory continuously about a point.
+     *
+     * The rotation is approximated with a series of chords, each as long as {@link Trajectory#maxAngularError} allows.
+     * At the end of each chord, the motion is re-linearized around the current orientation by a scheduled event,
+     * so the object keeps its shape rather than shearing and scaling.
+     *
+     * While rotating, the linear portion of the motion is controlled by the rotation, and any other changes to it only last until the next chord.
+     * The pivot keeps its velocity, which can still be changed with {@link Trajectory#impulse}, {@link Trajectory#setVel}, or acceleration.
+     *
+     * Setting the angular velocity to zero ends the rotation, leaving the pivot's velocity as the velocity of the whole trajectory.
+     *
+     * @param {number} angularVelocity In radians per unit time. Positive values rotate counterclockwise.
+     * @param {V2} pivot The point in geometry space to rotate about.
+     * @param {Object} options
+     * @param {number} options.maxError See {@link Trajectory#maxAngularError}.
+     */
+    setAngularVelocity(angularVelocity, pivot = V2.zero(), {maxError = 0.001} = {}){
+        this.startRotation(angularVelocity, Infinity, pivot, maxError)
+    }
+    /**
+     * Rotates the trajectory by an angle about a point, either immediately or over a duration.
+     *
+     * Rotations over a duration are approximated with chords in the same way as {@link Trajectory#setAngularVelocity}, and end exactly at the target angle.
+     * Any rotation already in progress is replaced.
+     *
+     * Immediate rotations are applied on top of any rotation in progress.
+     *
+     * @param {number} angle In radians. Positive values rotate counterclockwise.
+     * @param {V2} pivot The point in geometry space to rotate about.
+     * @param {number} duration The time the rotation takes.
+     * @param {Object} options
+     * @param {number} options.maxError See {@link Trajectory#maxAngularError}.
+     */
+    rotateAbout(angle, pivot = V2.zero(), duration = 0, {maxError = 0.001} = {}){
+        if(0 < duration){
+            this.startRotation(angle / duration, duration, pivot, maxError)
+            return
+        }
+
+        this.modify(() => {
+            this.base.rotate(angle, this.base.applyVec(newV2(this.float64, pivot)))
+        })
+
+        // restart the current chord from the new orientation
+        if(this.rotationEvent){
+            const remaining = this.rotationEvent.time - this.clock.time + this.rotationSegments * this.rotationStep
+            this.startRotation(this.angularVelocity, remaining, this.pivot, this.maxAngularError)
+        }
+    }
+
+    /**
+     * Starts rotating, replacing any rotation in progress.
+     *
+     * This method is used internally by the trajectory and should not be called directly.
+     *
+     * @param {number} angularVelocity
+     * @param {number} duration How long to rotate for, or Infinity to rotate indefinitely.
+     * @param {V2} pivot
+     * @param {number} maxError
+     *
+     * @throws {CompositionDegreeError} if the rotation would make an attached trajectory more than quadratic in time.
+     * Any rotation in progress carries on from where it was interrupted.
+     */
+    startRotation(angularVelocity, duration, pivot, maxError){
+        this.journal()
+        const
+            previous = this.rotationEvent
+                ? [this.angularVelocity, this.rotationEvent.time - this.clock.time + this.rotationSegments * this.rotationStep, this.pivot, this.maxAngularError]
+                : null,
+            previousPivot = this.pivot,
+            previousMaxError = this.maxAngularError
+        this.settleRotation()
+
+        if(this.maxAngularRate < Math.abs(angularVelocity)){
+            if(this.onClamp) this.onClamp(this, "angularRate", Math.abs(angularVelocity))
+            // timed rotations still reach their target, just later
+            duration *= Math.abs(angularVelocity) / this.maxAngularRate
+            angularVelocity = Math.sign(angularVelocity) * this.maxAngularRate
+        }
+
+        // a chord spanning this angle bows inward from the arc by 1 - cos(angle / 2) at its midpoint
+        const maxStep = 2 * Math.acos(1 - maxError) / Math.abs(angularVelocity)
+        const segments = duration == Infinity ? Infinity : Math.max(1, Math.ceil(duration / maxStep))
+
+        this.angularVelocity = angularVelocity
+        this.pivot = newV2(this.float64, pivot)
+        this.maxAngularError = maxError
+        this.rotationStep = duration == Infinity ? maxStep : duration / segments
+        this.rotationSegments = segments
+        try{
+            this.relinearize()
+        }catch(error){
+            this.pivot = previousPivot
+            this.maxAngularError = previousMaxError
+            if(previous) this.startRotation(...previous)
+            throw error
+        }
+    }
+
+    /**
+     * Sets the motion to follow the next chord of the rotation, or ends the rotation once there are none left.
+     *
+     * This method is used internally by the trajectory and should not be called directly.
+     *
+     * @throws {CompositionDegreeError} if the next chord would make an attached trajectory more than quadratic in time.
+     * The rotation ends instead, leaving the motion as it was.
+     */
+    relinearize(){
+        this.journal()
+        this.rotationEvent = null
+
+        const
+            pivotVel = this.velOf(this.pivot),
+            // only open-ended rotations are damped, so that timed rotations still end at their target
+            damping = this.rotationSegments == Infinity ? this.angularDamping : 0
+
+        // once the rest of the rotation is within the error allowed, it's dropped
+        if(damping != 0 && Math.abs(this.angularVelocity) / damping <= this.maxAngularError){
+            this.angularVelocity = 0
+        }
+
+        if(this.angularVelocity == 0 || this.rotationSegments == 0){
+            this.angularVelocity = 0
+            this.steer(() => this.modify(() => {
+                this.motion.zero()
+                this.motion.p.set(pivotVel)
+            }))
+            return
+        }
+        this.rotationSegments--
+
+        // as a damped rotation slows, its chords can grow
+        if(damping != 0) this.rotationStep = 2 * Math.acos(1 - this.maxAngularError) / Math.abs(this.angularVelocity)
+
+        const
+            step = this.rotationStep,
+            target = this.getTransform(),
+            center = target.applyVec(copyV2(this.pivot)),
+            pivotAcc = copyV2(this.pivot).applyTransform(this.acceleration)
+
+        // a damped rotation turns through the integral of its decaying angular velocity
+        this.rotationAngle = damping == 0
+            ? this.angularVelocity * step
+            : this.angularVelocity * (1 - Math.exp(-damping * step)) / damping
+
+        target
+            .rotate(this.rotationAngle, center)
+            .translate(pivotVel.scale(step).addScaled(pivotAcc, step ** 2 / 2))
+        try{
+            this.steer(() => this.transformTo(target, step))
+        }catch(error){
+            this.angularVelocity = 0
+            throw error
+        }
+
+        this.rotationEvent = new ClockEvent(this.clock.time + step, () => {
+            this.journal()
+            this.angularVelocity *= Math.exp(-damping * step)
+            this.relinearize()
+        })
+        this.clock.schedule(this.rotationEvent)
+    }
+
+    /**
+     * Interrupts the current chord of the rotation, if there is one, moving the transform from the chord onto the true rotation.
      *
-     * @type {Clock}
+     * This method is used internally by the trajectory and should not be called directly.
      */
-    clock
+    settleRotation(){
+        if(!this.rotationEvent) return
+
+        const transform = this.rotatedTransform()
+        this.rotationEvent.valid = false
+        this.rotationEvent = null
+
+        this.steer(() => this.modify(() => {
+            this.base.set(transform)
+        }))
+    }
+
     /**
-     * The transform at the time specified by {@link Trajectory#time}.
+     * Returns the present transform on the true rotation, rather than on the chord approximating it.
      *
-     * This field is used internally by the trajectory and should not be accessed directly.
+     * This method is used internally by the trajectory and {@link saveWorld} and should not be called directly.
      *
-     * @type {Transform}
+     * @returns {Transform}
      */
-    base
+    rotatedTransform(){
+        const transform = this.getTransform()
+        if(!this.rotationEvent) return transform
+
+        const
+            angle = this.rotationAngle,
+            progress = 1 - (this.rotationEvent.time - this.clock.time) / this.rotationStep,
+
+            // along the chord, the linear portion of the transform is rotated by chordAngle and scaled by chordScale
+            cos = 1 - progress + progress * Math.cos(angle),
+            sin = progress * Math.sin(angle),
+            chordAngle = Math.atan2(sin, cos),
+            chordScale = Math.hypot(sin, cos),
+            center = transform.applyVec(copyV2(this.pivot))
+
+        return transform
+            .rotate(progress * angle - chordAngle, center)
+            .scale(1 / chordScale, center)
+    }
+
     /**
-     * The rate of change of the transform over time.
+     * Returns the angular velocity of the rotation at the current time.
      *
-     * This field is used internally by the trajectory and should not be accessed directly.
+     * This differs from {@link Trajectory#angularVelocity}, which is set at the start of each chord, while an open-ended rotation is damped.
      *
-     * @type {Transform}
+     * This method is used internally by the trajectory and {@link saveWorld} and should not be called directly.
+     *
+     * @returns {number}
      */
-    motion
+    presentAngularVelocity(){
+        if(!this.rotationEvent || this.rotationSegments != Infinity) return this.angularVelocity
+        return this.angularVelocity * Math.exp(-this.angularDamping * (this.clock.time - (this.rotationEvent.time - this.rotationStep)))
+    }
+
     /**
-     * All physics objects that use this trajectory.
+     * Limits how fast the trajectory can move, rotate, and change scale.
      *
-     * This should not be modified directly.
-     * Instead, use {@link PhysicsObject#setTrajectory}.
+     * Limits are enforced whenever the motion is changed, including by {@link Trajectory#impulse}, {@link Trajectory#setVel}, {@link Trajectory#setMotion}, and {@link Collision#resolve}.
+     * A change which would exceed a limit is clamped to it, and {@link Trajectory#onClamp} is called.
+     * - The speed is the speed of the pivot, or of the origin if the trajectory has never rotated.
+     *   Clamping it scales the velocity down, keeping its direction.
+     * - The angular rate and scale rate are the rates at which the motion rotates and uniformly scales the trajectory.
+     *   Clamping them leaves any shearing or stretching untouched.
+     *   The angular velocity of {@link Trajectory#setAngularVelocity} is clamped in the same way, and rotations over a duration with {@link Trajectory#rotateAbout} take longer instead.
      *
-     * @type {Set<PhysicsObject>}
+     * Limits only apply to changes, so acceleration can still carry the trajectory past them until the motion is next changed.
+     * Immediate changes to the transform, like {@link Trajectory#setTransform} or {@link Trajectory#rotateAbout} without a duration, aren't limited.
+     * Neither is a {@link KeyframeTrajectory} or {@link PathTrajectory} while it's following its keyframes, since it must reach each one on time.
+     *
+     * The current motion is clamped to the new limits immediately.
+     * Limits which aren't provided keep their current values, and a limit of Infinity removes it.
+     *
+     * Example usage:
+     *
+     * ```js
+     *
+     * player.trajectory.setLimits({
+     *     maxSpeed: 8,
+     *     onClamp: (trajectory, limit, requested) => console.log(`${limit} clamped from ${requested}`),
+     * })
+     *
+     * ```
+     *
+     * @param {Object} limits
+     * @param {number} limits.maxSpeed See {@link Trajectory#maxSpeed}.
+     * @param {number} limits.maxAngularRate See {@link Trajectory#maxAngularRate}.
+     * @param {number} limits.maxScaleRate See {@link Trajectory#maxScaleRate}.
+     * @param {?function(Trajectory, "speed" | "angularRate" | "scaleRate", number): void} limits.onClamp See {@link Trajectory#onClamp}.
      */
-    dependants
+    setLimits({maxSpeed = this.maxSpeed, maxAngularRate = this.maxAngularRate, maxScaleRate = this.maxScaleRate, onClamp = this.onClamp} = {}){
+        this.journal()
+        this.maxSpeed = maxSpeed
+        this.maxAngularRate = maxAngularRate
+        this.maxScaleRate = maxScaleRate
+        this.onClamp = onClamp
+
+        if(this.rotationEvent && this.maxAngularRate < Math.abs(this.angularVelocity)){
+            const remaining = this.rotationEvent.time - this.clock.time + this.rotationSegments * this.rotationStep
+            this.startRotation(this.angularVelocity, remaining, this.pivot, this.maxAngularError)
+        }
+        if(this.limited) this.modify(() => {})
+    }
+
     /**
-     * The time at which this trajectory's transform was {@link Trajectory#base}.
-     *
-     * This field is used internally by the trajectory and should not be accessed directly.
+     * Clamps the present motion to the trajectory's limits, calling {@link Trajectory#onClamp} for each limit exceeded.
      *
-     * @type {number}
+     * This method is used internally by the trajectory and should not be called directly.
      */
-    time
+    clampMotion(){
+        const
+            [ax, ay, bx, by] = this.base.arr,
+            det = ax * by - ay * bx
+
+        // while rotating, the linear portion belongs to the rotation, which is limited when it starts
+        if(det != 0 && !this.rotationEvent && (this.maxAngularRate < Infinity || this.maxScaleRate < Infinity)){
+            const
+                [mAx, mAy, mBx, mBy] = this.motion.arr,
+
+                // the rate of change of the linear portion, relative to the linear portion itself
+                r00 = (mAx * by - mBx * ay) / det,
+                r01 = (mBx * ax - mAx * bx) / det,
+                r10 = (mAy * by - mBy * ay) / det,
+                r11 = (mBy * ax - mAy * bx) / det,
+
+                angularRate = (r10 - r01) / 2,
+                scaleRate = (r00 + r11) / 2,
+                angularChange = Math.sign(angularRate) * Math.min(this.maxAngularRate, Math.abs(angularRate)) - angularRate,
+                scaleChange = Math.sign(scaleRate) * Math.min(this.maxScaleRate, Math.abs(scaleRate)) - scaleRate
+
+            if(angularChange != 0 && this.onClamp) this.onClamp(this, "angularRate", Math.abs(angularRate))
+            if(scaleChange != 0 && this.onClamp) this.onClamp(this, "scaleRate", Math.abs(scaleRate))
+
+            // adds (angularChange * rotation by 90 degrees + scaleChange * identity) applied to the linear portion
+            this.motion.arr[0] += scaleChange * ax - angularChange * ay
+            this.motion.arr[1] += scaleChange * ay + angularChange * ax
+            this.motion.arr[2] += scaleChange * bx - angularChange * by
+            this.motion.arr[3] += scaleChange * by + angularChange * bx
+        }
+
+        const velocity = this.velOf(this.referencePoint())
+        if(this.maxSpeed < velocity.mag){
+            if(this.onClamp) this.onClamp(this, "speed", velocity.mag)
+            this.motion.p.addScaled(velocity, this.maxSpeed / velocity.mag - 1)
+        }
+    }
 
     /**
-     * Constructs a new {@link Trajectory}.
-     * @param {Clock} clock The clock that drives the transform's time evolution.
-     * @param {?Transform} base The initial transform.
-     * @param {?Transform} motion The initial rate of change of the transform.
+     * Damps the velocity and angular velocity of the trajectory, so that they decay exponentially over time, like friction or drag.
+     *
+     * Without acceleration, the velocity of the pivot decays as e^(-linear * t), and the trajectory glides to a stop.
+     * With acceleration, such as gravity, the velocity approaches a terminal velocity of acceleration / linear.
+     * The angular velocity set by {@link Trajectory#setAngularVelocity} decays as e^(-angular * t).
+     * Rotations over a duration with {@link Trajectory#rotateAbout} are not damped.
+     *
+     * The decay is followed with a series of segments of ordinary motion, each as long as `maxError` allows, so collisions stay exact.
+     * Segments lengthen as the trajectory slows, and collisions are only recalculated at the end of each one.
+     * The segments follow the acceleration of the pivot themselves, so it's taken over from the trajectory while it's damped, and handed back once the damping stops.
+     * Once the rest of the decay is within the error allowed, the trajectory moves on at its terminal velocity, or stops without acceleration, and no more segments are scheduled.
+     *
+     * Changes to the velocity, such as impulses and collisions, are damped from the new velocity.
+     * A damping of zero stops damping.
+     *
+     * Example usage:
+     *
+     * ```js
+     *
+     * puck.trajectory.setVel(10, 0)
+     * puck.trajectory.setDamping(0.5) // glides 20 units before stopping
+     *
+     * ```
+     *
+     * @param {number} linear The rate at which the velocity decays, as a fraction per unit time.
+     * @param {number} angular The rate at which the angular velocity decays, as a fraction per unit time.
+     * @param {Object} options
+     * @param {number} options.maxError The furthest the trajectory may stray from its true damped path, as a distance.
      */
-    constructor(clock, base = Transform.identity(), motion = Transform.zero()){
-        this.clock = clock
-        this.base = base
-        this.motion = motion
-        /** @type {Set<PhysicsObject>} */
-        this.dependants = new Set()
-        this.time = clock.time
+    setDamping(linear, angular = 0, {maxError = 0.001} = {}){
+        this.journal()
+        const
+            velocity = this.dampedVelocity(),
+            angularVelocity = this.presentAngularVelocity()
+
+        this.linearDamping = linear
+        this.maxDampingError = maxError
+        this.planDamping(velocity)
+
+        if(this.angularDamping != angular){
+            this.angularDamping = angular
+            // the current chord was planned with the previous damping
+            if(this.rotationEvent && this.rotationSegments == Infinity){
+                this.startRotation(angularVelocity, Infinity, this.pivot, this.maxAngularError)
+            }
+        }
     }
 
     /**
-     * Advances {@link Trajectory#base} to the current clock time.
+     * Returns the point in geometry space whose velocity is damped and limited, which is the pivot of the rotation, or the origin if the trajectory has never rotated.
      *
-     * This method is used internally be the trajectory and should not be called directly.
+     * This method is used internally by the trajectory and should not be called directly.
+     *
+     * @returns {V2}
      */
-    updateToPresent(){
-        const dt = this.clock.time - this.time
-        this.base.addScaled(this.motion, dt)
-        this.time = this.clock.time
+    referencePoint(){
+        return this.pivot ? copyV2(this.pivot) : newV2(this.float64, 0, 0)
     }
 
     /**
-     * Safely modifies the transform state.
+     * Returns the velocity of the pivot on the true damped path at the current time.
      *
-     * The properties {@link Trajectory#base} and {@link Trajectory#motion} can be modified within this callback.
+     * This can differ from the actual velocity by as much as the current segment approximates the decay.
      *
      * This method is used internally by the trajectory and should not be called directly.
-     * Instead, use {@link Trajectory#setTransform} and {@link Trajectory#setMotion}.
      *
-     * @param {function(): void} callback
+     * @returns {V2}
      */
-    modify(callback){
-        this.updateToPresent()
-        callback()
-        this.recalculateCollisions()
+    dampedVelocity(){
+        if(!this.dampingEvent) return this.velOf(this.referencePoint())
+
+        const
+            k = this.linearDamping,
+            elapsed = this.clock.time - (this.dampingEvent.time - this.dampingStep),
+            terminal = copyV2(this.dampingAcceleration).scale(1 / k)
+
+        // v(t) = g / k + (v0 - g / k) e^(-kt)
+        return copyV2(this.dampingVelocity).subVec(terminal).scale(Math.exp(-k * elapsed)).addVec(terminal)
     }
 
     /**
-     * Returns the {@link Transform} currently applied to objects.
+     * Returns the present motion, with the velocity of the pivot taken from the true damped path rather than the segment approximating it.
+     *
+     * A copy of the trajectory starting from this motion picks up its damping where this trajectory is, rather than from the current segment.
+     *
+     * This method is used internally by {@link predictPath} and {@link saveWorld} and should not be called directly.
      *
      * @returns {Transform}
      */
-    getTransform(){
-        return this.base.copy().addScaled(this.motion, this.clock.time - this.time)
+    dampedMotion(){
+        const motion = this.getMotion()
+        if(this.dampingEvent) motion.p.addVec(this.dampedVelocity().subVec(this.velOf(this.referencePoint())))
+        return motion
     }
+
     /**
-     * Sets the {@link Transform} of the trajectory.
+     * Sets the velocity of the pivot to follow the next segment of the damped path, starting from a velocity on the true path.
      *
-     * @param {Transform} base
-     * The current transform.
-     * @param {?Transform} motion
-     * The change in the transform over time.
-     * If not provided, the previous motion is used.
+     * This method is used internally by the trajectory and should not be called directly.
+     *
+     * @param {V2} velocity The velocity of the pivot on the true damped path at the current time.
      */
-    setTransform(base, motion = null){
-        this.base.set(base)
-        if(motion) this.motion.set(motion)
-        this.recalculateCollisions()
+    planDamping(velocity){
+        this.journal()
+        if(this.dampingEvent) this.dampingEvent.valid = false
+        this.dampingEvent = null
+
+        const
+            k = this.linearDamping,
+            reference = this.referencePoint(),
+            remaining = copyV2(reference).applyTransform(this.acceleration),
+            taken = this.dampingAcceleration ?? newV2(this.float64, 0, 0),
+            acceleration = copyV2(remaining).addVec(taken)
+
+        // without damping, the acceleration is handed back and the velocity is followed as it is
+        if(k == 0){
+            const change = copyV2(velocity).subVec(this.velOf(reference))
+            this.dampingAcceleration = null
+            this.steer(() => this.modify(() => {
+                this.motion.p.addVec(change)
+                this.acceleration.p.addVec(taken)
+            }))
+            return
+        }
+
+        const
+            terminal = copyV2(acceleration).scale(1 / k),
+            drift = copyV2(velocity).subVec(terminal),
+            segmentVelocity = copyV2(terminal)
+
+        // once the rest of the drift toward the terminal velocity is within the error allowed, it's dropped
+        if(this.maxDampingError < drift.mag / k){
+            // the segment bows away from the true path by k |v - g / k| step^2 / 8 at most
+            const
+                step = Math.sqrt(8 * this.maxDampingError / (k * drift.mag)),
+                decay = Math.exp(-k * step)
+
+            // the velocity which reaches the true position g step / k + (v0 - g / k)(1 - e^(-k step)) / k at the end of the segment
+            segmentVelocity.addScaled(drift, (1 - decay) / (k * step))
+
+            this.dampingVelocity = copyV2(velocity)
+            this.dampingStep = step
+            this.dampingEvent = new ClockEvent(this.clock.time + step, () => {
+                this.planDamping(this.dampedVelocity())
+            })
+            this.clock.schedule(this.dampingEvent)
+        }
+        this.dampingAcceleration = acceleration
+
+        const change = segmentVelocity.subVec(this.velOf(reference))
+        if(change.x != 0 || change.y != 0 || remaining.x != 0 || remaining.y != 0){
+            this.steer(() => this.modify(() => {
+                this.motion.p.addVec(change)
+                this.acceleration.p.subVec(remaining)
+            }))
+        }
     }
+
     /**
-     * Returns the current rate of change of the transform.
+     * Runs a modification which shouldn't be damped or limited as a change from outside, either because it comes from the trajectory's own rotation, damping, or keyframes, or because the damping is planned separately.
      *
-     * @returns {Transform}
+     * This method is used internally by the trajectory and should not be called directly.
+     *
+     * @param {function(): void} action
      */
-    getMotion(){
-        return this.motion.copy()
+    steer(action){
+        const steering = this.steering
+        this.steering = true
+        try{
+            action()
+        }finally{
+            this.steering = steering
+        }
     }
+
     /**
-     * Sets the rate of change of the transform.
+     * Starts recording the history of this trajectory, so that its past transforms can be queried with {@link Trajectory#transformAt} and {@link Trajectory#posAt}.
      *
-     * @param {Transform} motion The new rate of change of the transform.
+     * Each modification ends a segment of the trajectory, and up to `capacity` of the most recent segments are kept.
+     * Once the capacity is reached, the oldest segment is dropped each time a new one is recorded.
+     * Recording starts from the current time, so earlier times remain unavailable.
+     *
+     * Calling this again changes the capacity, keeping as many of the most recent segments as fit.
+     * A capacity of 0 stops recording and discards the history.
+     *
+     * History is restored by {@link Clock#rollback}, but is not saved by {@link saveWorld}.
+     *
+     * Example usage:
+     *
+     * ```js
+     *
+     * player.trajectory.recordHistory(64)
+     *
+     * // Later, when a shot arrives from a client which is 0.1 seconds behind
+     *
+     * const pastPos = player.trajectory.posAt(clock.time - 0.1, 0, 0)
+     *
+     * ```
+     *
+     * @param {number} capacity The number of past segments to keep.
      */
-    setMotion(motion){
-        this.modify(() => {
-            this.motion.set(motion)
-        })
+    recordHistory(capacity){
+        this.journal()
+        const segments = this.recordedSegments()
+
+        if(capacity <= 0){
+            this.history = null
+            this.historyHead = 0
+            this.historyLength = 0
+            return
+        }
+
+        if(!this.history) this.historyStart = this.clock.time + this.clock.timeOrigin
+        const kept = segments.slice(Math.max(0, segments.length - capacity))
+        if(kept.length < segments.length) this.historyStart = segments[segments.length - kept.length - 1].end
+
+        this.history = Array.from({length: capacity}, (_, i) => kept[i] ?? null)
+        this.historyHead = 0
+        this.historyLength = kept.length
     }
 
     /**
-     * Sets the motion of the trajectory so that transform reaches a given target at a certain time.
-     *
-     * Note that the motion won't stop once the target is reached.
-     * To halt or change motion use {@link Trajectory#setMotion}, {@link Trajectory#setTransform}, {@link Trajectory#stop}, or another transformTo call.
+     * Returns the recorded segments of this trajectory, oldest first.
      *
-     * @param {Transform} transform
-     * The target transform.
-     * @param {number} time
-     * The duration that it will take to reach the target transform.
+     * @returns {Array<HistorySegment>}
      */
-    transformTo(transform, time){
-        this.setMotion(
-            transform.copy().sub(this.getTransform()).scale(1 / time)
-        )
-    }
-    stop(){
-        this.modify(() => {
-            this.motion.zero()
-        })
+    recordedSegments(){
+        if(!this.history) return []
+        return Array.from({length: this.historyLength}, (_, i) => this.history[(this.historyHead + i) % this.history.length])
     }
 
     /**
-     * Translates the trajectory by the given vector.
+     * Records the segment of this trajectory which is ending, if history is being recorded.
      *
-     * @param {...VectorConstructionType} args
-     * Takes any arguments that can construct a V2 with {@link V2#new}.
+     * This method is used internally by the trajectory and should not be called directly.
+     *
+     * @param {TrajectoryState} state The state as the segment ends, at the current time.
      */
-    translate(...args){
-        this.modify(() => {
-            this.base.p.add(V2.new(...args))
-        })
+    recordSegment(state){
+        if(!this.history) return
+
+        const end = this.clock.time + this.clock.timeOrigin
+        // a segment which started and ended at the same time can't be queried
+        if(this.historyLength == 0 ? end == this.historyStart : this.history[(this.historyHead + this.historyLength - 1) % this.history.length].end == end) return
+
+        const segment = {
+            end,
+            base: copyTransform(state.base),
+            motion: copyTransform(state.motion),
+            acceleration: copyTransform(state.acceleration),
+        }
+
+        if(this.historyLength == this.history.length){
+            this.historyStart = this.history[this.historyHead].end
+            this.history[this.historyHead] = segment
+            this.historyHead = (this.historyHead + 1) % this.history.length
+        }else{
+            this.history[(this.historyHead + this.historyLength) % this.history.length] = segment
+            this.historyLength++
+        }
     }
+
     /**
-     * Sets the translation component of the transformation without affecting motion.
+     * Finds the segment of this trajectory which was followed at a time.
      *
-     * @param {...VectorConstructionType} args
-     * Takes any arguments that can construct a V2 with {@link V2#new}.
+     * This method is used internally by the trajectory and should not be called directly.
      *
-     * @returns {Trajectory}
-     * This trajectory. Enables chaining.
+     * @param {number} time
+     * @returns {{state: TrajectoryState, dt: number}} The state of the segment, and the time from it to the time requested.
+     *
+     * @throws {HistoryUnavailableError} if the time is in the future, or before the recorded history.
      */
-    setPos(...args){
-        this.modify(() => {
-            this.base.p.set(V2.new(...args))
-        })
-        return this
+    segmentAt(time){
+        const
+            now = this.clock.time,
+            origin = this.clock.timeOrigin,
+            earliest = this.history ? this.historyStart - origin : this.time
+
+        if(now < time || time < earliest) throw new HistoryUnavailableError(time, earliest, now)
+
+        // a segment covers the times from the previous segment's end up to, but not including, its own
+        for(let i = 0; i < this.historyLength; i++){
+            const segment = this.history[(this.historyHead + i) % this.history.length]
+            if(time < segment.end - origin) return {state: segment, dt: time - (segment.end - origin)}
+        }
+        return {state: this, dt: time - this.time}
     }
+
     /**
-     * Adds to the current translational velocity of the trajectory.
+     * Returns the {@link Transform} the trajectory had at a time.
      *
-     * @param {...VectorConstructionType} args
-     * Takes any arguments that can construct a V2 with {@link V2#new}.
+     * Times before the current one are only available while they are covered by the history kept by {@link Trajectory#recordHistory}.
+     * Without it, only times since the trajectory was last brought up to date are available.
+     *
+     * @param {number} time A time no later than the current time.
+     * @returns {Transform}
+     *
+     * @throws {HistoryUnavailableError} if the time is in the future, or isn't covered by the recorded history.
      */
-    impulse(...args){
-        this.modify(() => {
-            this.motion.p.add(V2.new(...args))
-        })
+    transformAt(time){
+        const {state, dt} = this.segmentAt(time)
+        return copyTransform(state.base).addScaled(state.motion, dt).addScaled(state.acceleration, dt ** 2 / 2)
     }
+
     /**
-     * Sets the change over time of the translation component of the trajectory.
-     * If an object has no affine motion, this is the same as setting the velocity of the trajectory.
-     * 
-     * @param {...VectorConstructionType} args
-     * The new change over time of the translation component of the trajectory.
+     * Computes the world-space position a point in geometry space had at a time.
+     *
+     * The same times are available as for {@link Trajectory#transformAt}.
      *
+     * @param {number} time A time no later than the current time.
+     * @param {...VectorConstructionType} args
      * Takes any arguments that can construct a V2 with {@link V2#new}.
+     *
+     * @returns {V2}
+     *
+     * @throws {HistoryUnavailableError} if the time is in the future, or isn't covered by the recorded history.
      */
-    setVel(...args){
-        this.modify(() => {
-            this.motion.p.set(V2.new(...args))
-        })
+    posAt(time, ...args){
+        const
+            {state, dt} = this.segmentAt(time),
+            vec = newV2(this.float64, ...args),
+            vel = copyV2(vec).applyTransform(state.motion),
+            acc = copyV2(vec).applyTransform(state.acceleration)
+
+        return vec.applyTransform(state.base).addScaled(vel, dt).addScaled(acc, dt ** 2 / 2)
     }
 
     /**
@@ -243,10 +1697,11 @@ class Trajectory {
     posOf(...args){
         const
             dt = this.clock.time - this.time,
-            vec = V2.new(...args),
-            vel = vec.xy.applyTransform(this.motion)
+            vec = newV2(this.float64, ...args),
+            vel = copyV2(vec).applyTransform(this.motion),
+            acc = copyV2(vec).applyTransform(this.acceleration)
 
-        return vec.applyTransform(this.base).addScaled(vel, dt)
+        return vec.applyTransform(this.base).addScaled(vel, dt).addScaled(acc, dt ** 2 / 2)
     }
     /**
      * Computes the world-space velocity of a point in geometry space.
@@ -257,7 +1712,10 @@ class Trajectory {
      * @returns {V2}
      */
     velOf(...args){
-        return V2.new(...args).applyTransform(this.motion)
+        const vec = newV2(this.float64, ...args)
+        return copyV2(vec).applyTransform(this.acceleration)
+            .scale(this.clock.time - this.time)
+            .add(vec.applyTransform(this.motion))
     }
     /**
      * Computes the relative world-space velocity between two points in geometry space.
@@ -267,7 +1725,94 @@ class Trajectory {
      * @returns {V2}
      */
     velDiff(p0, p1){
-        return p1.xy.sub(p0).applyTransformAffine(this.motion)
+        return copyV2(p1, this.float64).sub(p0).applyTransformAffine(this.getMotion())
+    }
+
+    /**
+     * Records the state of this trajectory with the clock before it is modified, so it can be restored by {@link Clock#rollback}.
+     *
+     * This method is used internally by the trajectory and should not be called directly.
+     */
+    journal(){
+        this.clock.journal(this, () => this.save())
+    }
+
+    /**
+     * Captures the state of this trajectory, returning a callback which restores it.
+     *
+     * Subclasses with additional state should extend this, so that {@link Trajectory#journal} records it too.
+     *
+     * This method is used internally by the trajectory and should not be called directly.
+     *
+     * @returns {function(): void}
+     */
+    save(){
+        const
+            base = copyTransform(this.base),
+            motion = copyTransform(this.motion),
+            acceleration = copyTransform(this.acceleration),
+            time = this.time,
+            timeOrigin = this.clock.timeOrigin,
+            angularVelocity = this.angularVelocity,
+            pivot = this.pivot,
+            maxAngularError = this.maxAngularError,
+            rotationStep = this.rotationStep,
+            rotationSegments = this.rotationSegments,
+            rotationEvent = this.rotationEvent,
+            rotationAngle = this.rotationAngle,
+            linearDamping = this.linearDamping,
+            angularDamping = this.angularDamping,
+            maxDampingError = this.maxDampingError,
+            dampingVelocity = this.dampingVelocity,
+            dampingAcceleration = this.dampingAcceleration,
+            dampingStep = this.dampingStep,
+            dampingEvent = this.dampingEvent,
+            maxSpeed = this.maxSpeed,
+            maxAngularRate = this.maxAngularRate,
+            maxScaleRate = this.maxScaleRate,
+            onClamp = this.onClamp,
+            parent = this.parent,
+            local = this.local && copyState(this.local),
+            history = this.history && [...this.history],
+            historyHead = this.historyHead,
+            historyLength = this.historyLength,
+            historyStart = this.historyStart
+
+        return () => {
+            this.base.set(base)
+            this.motion.set(motion)
+            this.acceleration.set(acceleration)
+            this.time = time - (this.clock.timeOrigin - timeOrigin)
+            this.angularVelocity = angularVelocity
+            this.pivot = pivot
+            this.maxAngularError = maxAngularError
+            this.rotationStep = rotationStep
+            this.rotationSegments = rotationSegments
+            this.rotationEvent = rotationEvent
+            this.rotationAngle = rotationAngle
+            this.linearDamping = linearDamping
+            this.angularDamping = angularDamping
+            this.maxDampingError = maxDampingError
+            this.dampingVelocity = dampingVelocity
+            this.dampingAcceleration = dampingAcceleration
+            this.dampingStep = dampingStep
+            this.dampingEvent = dampingEvent
+            this.maxSpeed = maxSpeed
+            this.maxAngularRate = maxAngularRate
+            this.maxScaleRate = maxScaleRate
+            this.onClamp = onClamp
+            if(this.parent != parent){
+                if(this.parent) this.parent.children.delete(this)
+                if(parent) parent.children.add(this)
+                this.parent = parent
+            }
+            this.local = local && copyState(local)
+            this.history = history && [...history]
+            this.historyHead = historyHead
+            this.historyLength = historyLength
+            this.historyStart = historyStart
+            this.recalculateCollisions()
+        }
     }
 
     /**
@@ -282,4 +1827,16 @@ class Trajectory {
     }
 }
 
-export {Trajectory}
\ No newline at end of file
+/**
+ * @param {TrajectoryState} state
+ * @returns {TrajectoryState}
+ */
+function copyState({base, motion, acceleration}){
+    return {
+        base: copyTransform(base),
+        motion: copyTransform(motion),
+        acceleration: copyTransform(acceleration),
+    }
+}
+
+export {Trajectory, TrajectoryCycleError, CompositionDegreeError, HistoryUnavailableError}
\ No newline at end of file
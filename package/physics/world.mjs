@@ -0,0 +1,396 @@
+import {Clock} from "./timing/clock.mjs"
+import {PhysicsObject} from "./physics-object.mjs"
+import {Geometry} from "./geometry/geometry.mjs"
+import {Trajectory} from "./trajectory.mjs"
+import {CollisionGroup} from "./collisions/collision-group.mjs"
+import {CollisionRule} from "./collisions/collision-rule.mjs"
+import {ToleranceProfile} from "./collisions/tolerance-profile.mjs"
+
+/**
+ * An error triggered when an item is added to a {@link World} under an id which is already in use.
+ */
+class DuplicateIdError extends Error {
+    /**
+     * The id provided.
+     *
+     * @type {number}
+     */
+    id
+    /**
+     * The item already tracked under the id.
+     *
+     * @type {PhysicsObject | CollisionGroup | CollisionRule | ToleranceProfile}
+     */
+    existing
+
+    /**
+     * @param {number} id
+     * @param {PhysicsObject | CollisionGroup | CollisionRule | ToleranceProfile} existing
+     */
+    constructor(id, existing){
+        super(`The id ${id} is already in use by a ${existing.constructor.name} in this world.`)
+        this.name = "DuplicateIdError"
+        this.id = id
+        this.existing = existing
+    }
+}
+
+/**
+ * An error triggered when an object is added to a {@link World} while running on a different clock.
+ */
+class ForeignClockError extends Error {
+    /**
+     * The object provided.
+     *
+     * @type {PhysicsObject}
+     */
+    object
+
+    /**
+     * @param {PhysicsObject} object
+     */
+    constructor(object){
+        super("The object runs on a different clock than this world, which would break rollback and rebasing.")
+        this.name = "ForeignClockError"
+        this.object = object
+    }
+}
+
+/**
+ * A world owns a {@link Clock} along with the physics objects, collision groups, collision rules, and tolerance profiles that run on it.
+ *
+ * Everything a world creates is given a numeric id which is unique within the world.
+ * Ids can be used to look items up through {@link World#objects}, {@link World#groups}, {@link World#rules}, and {@link World#toleranceProfiles}, and an item's id can be found with {@link World#idOf}.
+ *
+ * Worlds don't replace the lifecycles of the components they track.
+ * Deleting an item from a world uses {@link PhysicsObject#discard}, {@link CollisionGroup#delete}, and {@link CollisionRule#disable}, and then forgets the item.
+ *
+ * Example usage:
+ *
+ * ```js
+ *
+ * const
+ *     world = new World(),
+ *
+ *     [balls, walls] = [world.createGroup(), world.createGroup()],
+ *     tolerances = world.createToleranceProfile(0.001),
+ *
+ *     bounce = world.createRule(balls, walls, tolerances, collision => {
+ *         collision.resolve(0, 1, 0, 1)
+ *     }),
+ *
+ *     ball = world.createObject(ballGeometry, [balls])
+ *
+ * world.clock.runTo(10)
+ *
+ * console.log(world.objects.get(world.idOf(ball)) == ball) // true
+ *
+ * world.delete()
+ *
+ * ```
+ */
+class World {
+    /**
+     * The clock on which all of this world's objects run.
+     *
+     * This reference is fixed for the lifetime of the world.
+     *
+     * @type {Clock}
+     */
+    clock
+    /**
+     * All physics objects tracked by this world, keyed by id.
+     *
+     * This should not be modified directly.
+     * Instead, use {@link World#createObject}, {@link World#addObject}, and {@link World#deleteObject}.
+     *
+     * @type {Map<number, PhysicsObject>}
+     */
+    objects = new Map()
+    /**
+     * All collision groups tracked by this world, keyed by id.
+     *
+     * This should not be modified directly.
+     * Instead, use {@link World#createGroup}, {@link World#addGroup}, and {@link World#deleteGroup}.
+     *
+     * @type {Map<number, CollisionGroup>}
+     */
+    groups = new Map()
+    /**
+     * All collision rules tracked by this world, keyed by id.
+     *
+     * This should not be modified directly.
+     * Instead, use {@link World#createRule}, {@link World#addRule}, and {@link World#deleteRule}.
+     *
+     * @type {Map<number, CollisionRule>}
+     */
+    rules = new Map()
+    /**
+     * All tolerance profiles tracked by this world, keyed by id.
+     *
+     * This should not be modified directly.
+     * Instead, use {@link World#createToleranceProfile}, {@link World#addToleranceProfile}, and {@link World#deleteToleranceProfile}.
+     *
+     * @type {Map<number, ToleranceProfile>}
+     */
+    toleranceProfiles = new Map()
+
+    /**
+     * The id of every item tracked by this world.
+     *
+     * This field is used internally by the world and should not be accessed directly.
+     * Instead, use {@link World#idOf}.
+     *
+     * @type {Map<PhysicsObject | CollisionGroup | CollisionRule | ToleranceProfile, number>}
+     */
+    ids = new Map()
+    /**
+     * The id which will be assigned to the next item added without an explicit id.
+     *
+     * This field is used internally by the world and should not be accessed directly.
+     *
+     * @type {number}
+     */
+    nextId = 0
+
+    /**
+     * Creates an empty {@link World}.
+     *
+     * @param {Clock} clock
+     * The clock on which all of this world's objects run.
+     * If not provided, a new clock is constructed.
+     */
+    constructor(clock = new Clock()){
+        this.clock = clock
+    }
+
+    /**
+     * Returns the id of an item tracked by this world.
+     *
+     * @param {PhysicsObject | CollisionGroup | CollisionRule | ToleranceProfile} item
+     * @returns {number | undefined} The id of the item, or undefined if it isn't tracked by this world.
+     */
+    idOf(item){
+        return this.ids.get(item)
+    }
+
+    /**
+     * Creates a {@link PhysicsObject} on this world's clock and tracks it.
+     *
+     * Takes the same arguments as the {@link PhysicsObject} constructor, without the clock.
+     *
+     * @param {Geometry} geometry
+     * @param {Iterable<CollisionGroup>} collisionGroups
+     * @param {?Trajectory} trajectory If not provided, a new trajectory is constructed on this world's clock.
+     * @param {boolean} disabled
+     * @returns {PhysicsObject} The new object.
+     */
+    createObject(geometry = new Geometry(), collisionGroups = [], trajectory = new Trajectory(this.clock), disabled = false){
+        return this.addObject(new PhysicsObject(this.clock, geometry, collisionGroups, trajectory, disabled))
+    }
+    /**
+     * Tracks an existing {@link PhysicsObject}.
+     *
+     * The object must use this world's clock.
+     *
+     * @param {PhysicsObject} object
+     * @param {?number} id The id to track the object under. If not provided, a new id is assigned.
+     * @returns {PhysicsObject} The object.
+     *
+     * @throws {DuplicateIdError} if the id is already in use by another item.
+     * @throws {ForeignClockError} if the object doesn't use this world's clock.
+     */
+    addObject(object, id = this.nextId){
+        if(object.clock != this.clock) throw new ForeignClockError(object)
+        return this.track(this.objects, object, id)
+    }
+    /**
+     * Discards a {@link PhysicsObject} and stops tracking it.
+     *
+     * See {@link PhysicsObject#discard}.
+     *
+     * @param {PhysicsObject} object
+     */
+    deleteObject(object){
+        object.discard()
+        this.untrack(this.objects, object)
+    }
+
+    /**
+     * Creates a {@link CollisionGroup} and tracks it.
+     *
+     * @returns {CollisionGroup} The new group.
+     */
+    createGroup(){
+        return this.addGroup(new CollisionGroup())
+    }
+    /**
+     * Tracks an existing {@link CollisionGroup}.
+     *
+     * @param {CollisionGroup} group
+     * @param {?number} id The id to track the group under. If not provided, a new id is assigned.
+     * @returns {CollisionGroup} The group.
+     *
+     * @throws {DuplicateIdError} if the id is already in use by another item.
+     */
+    addGroup(group, id = this.nextId){
+        return this.track(this.groups, group, id)
+    }
+    /**
+     * Deletes a {@link CollisionGroup} and stops tracking it, along with all of its collision rules.
+     *
+     * See {@link CollisionGroup#delete}.
+     *
+     * @param {CollisionGroup} group
+     */
+    deleteGroup(group){
+        const rules = [...group.collisionRulesA, ...group.collisionRulesB]
+        group.delete()
+        for(const rule of rules){
+            this.untrack(this.rules, rule)
+        }
+        this.untrack(this.groups, group)
+    }
+
+    /**
+     * Creates a {@link CollisionRule} and tracks it.
+     *
+     * Takes the same arguments as the {@link CollisionRule} constructor.
+     *
+     * @param {CollisionGroup} groupA
+     * @param {CollisionGroup} groupB
+     * @param {ToleranceProfile} toleranceProfile
+     * @param {function(Collision): void} callback
+     * @param {boolean} recalculating
+     * @returns {CollisionRule} The new rule.
+     */
+    createRule(groupA, groupB, toleranceProfile, callback, recalculating = true){
+        return this.addRule(new CollisionRule(groupA, groupB, toleranceProfile, callback, recalculating))
+    }
+    /**
+     * Tracks an existing {@link CollisionRule}.
+     *
+     * @param {CollisionRule} rule
+     * @param {?number} id The id to track the rule under. If not provided, a new id is assigned.
+     * @returns {CollisionRule} The rule.
+     *
+     * @throws {DuplicateIdError} if the id is already in use by another item.
+     */
+    addRule(rule, id = this.nextId){
+        return this.track(this.rules, rule, id)
+    }
+    /**
+     * Disables a {@link CollisionRule} and stops tracking it.
+     *
+     * See {@link CollisionRule#disable}.
+     *
+     * @param {CollisionRule} rule
+     */
+    deleteRule(rule){
+        rule.disable()
+        this.untrack(this.rules, rule)
+    }
+
+    /**
+     * Creates a {@link ToleranceProfile} and tracks it.
+     *
+     * Takes the same arguments as the {@link ToleranceProfile} constructor.
+     *
+     * @param {number} closeCollisionThresh
+     * @param {number} directionalTolerance
+     * @returns {ToleranceProfile} The new tolerance profile.
+     */
+    createToleranceProfile(closeCollisionThresh, directionalTolerance = 0.02){
+        return this.addToleranceProfile(new ToleranceProfile(closeCollisionThresh, directionalTolerance))
+    }
+    /**
+     * Tracks an existing {@link ToleranceProfile}.
+     *
+     * @param {ToleranceProfile} toleranceProfile
+     * @param {?number} id The id to track the tolerance profile under. If not provided, a new id is assigned.
+     * @returns {ToleranceProfile} The tolerance profile.
+     *
+     * @throws {DuplicateIdError} if the id is already in use by another item.
+     */
+    addToleranceProfile(toleranceProfile, id = this.nextId){
+        return this.track(this.toleranceProfiles, toleranceProfile, id)
+    }
+    /**
+     * Stops tracking a {@link ToleranceProfile}.
+     *
+     * Rules which use the tolerance profile are unaffected.
+     *
+     * @param {ToleranceProfile} toleranceProfile
+     */
+    deleteToleranceProfile(toleranceProfile){
+        this.untrack(this.toleranceProfiles, toleranceProfile)
+    }
+
+    /**
+     * Tears down this world.
+     *
+     * All objects are discarded (which cancels their collisions and timers), all groups are deleted, and all rules are disabled.
+     * The world is left empty and can be reused.
+     *
+     * Only what the world owns is torn down, since the clock may be shared.
+     * Events and timers scheduled on the clock directly, or by trajectories, are left as they are.
+     */
+    delete(){
+        for(const object of this.objects.values()){
+            object.discard()
+        }
+        for(const group of this.groups.values()){
+            group.delete()
+        }
+        for(const rule of this.rules.values()){
+            rule.disable()
+        }
+
+        this.objects.clear()
+        this.groups.clear()
+        this.rules.clear()
+        this.toleranceProfiles.clear()
+        this.ids.clear()
+    }
+
+    /**
+     * Adds an item to one of this world's maps.
+     *
+     * This method is used internally by the world and should not be called directly.
+     *
+     * @template T
+     * @param {Map<number, T>} map
+     * @param {T} item
+     * @param {number} id
+     * @returns {T}
+     *
+     * @throws {DuplicateIdError} if the id is already in use by another item.
+     */
+    track(map, item, id){
+        for(const other of [this.objects, this.groups, this.rules, this.toleranceProfiles]){
+            if(other.has(id) && other.get(id) != item) throw new DuplicateIdError(id, other.get(id))
+        }
+
+        this.untrack(map, item)
+        map.set(id, item)
+        this.ids.set(item, id)
+        this.nextId = Math.max(this.nextId, id + 1)
+        return item
+    }
+    /**
+     * Removes an item from one of this world's maps.
+     *
+     * This method is used internally by the world and should not be called directly.
+     *
+     * @template T
+     * @param {Map<number, T>} map
+     * @param {T} item
+     */
+    untrack(map, item){
+        if(!this.ids.has(item)) return
+        map.delete(this.ids.get(item))
+        this.ids.delete(item)
+    }
+}
+
+export {World, DuplicateIdError, ForeignClockError}
\ No newline at end of file
@@ -0,0 +1,34 @@
+import {CollisionEvent} from "../physics/collisions/collision-event.mjs"
+
+/**
+ * Returns the upcoming valid collisions on a {@link Clock}, without executing them.
+ *
+ * This is a convenience wrapper around {@link Clock#peek}, and has the same limitations:
+ * only collisions which have already been calculated are visible, and collisions for objects modified since the start of the cycle aren't calculated yet.
+ *
+ * Example usage:
+ *
+ * ```js
+ *
+ * for(const event of upcomingCollisions(clock, clock.time + 2, {object: player})){
+ *     console.log(event.time, event.collision.pos)
+ * }
+ *
+ * ```
+ *
+ * @param {Clock} clock The clock being inspected.
+ * @param {number} horizon The time up to which collisions are returned.
+ * @param {Object} filter
+ * @param {?PhysicsObject} filter.object If provided, only collisions involving this object are returned.
+ * @param {?CollisionRule} filter.rule If provided, only collisions produced by this rule are returned.
+ * @returns {Array<CollisionEvent>} The matching collision events, in execution order.
+ */
+function upcomingCollisions(clock, horizon = Infinity, {object = null, rule = null} = {}){
+    return /** @type {Array<CollisionEvent>} */ clock.peek(horizon, event =>
+        event instanceof CollisionEvent &&
+        (!object || event.involves(object)) &&
+        (!rule || event.collisionRule == rule)
+    )
+}
+
+export {upcomingCollisions}
\ No newline at end of file
@@ -0,0 +1,89 @@
+import {copyV2} from "../util/float64.mjs"
+
+/**
+ * Samples a chain of cubic Bézier curves into a polyline, which can be followed with a {@link PathTrajectory}.
+ *
+ * The points are given as a start point followed by two control points and an end point for each curve,
+ * with each curve starting where the previous one ended.
+ *
+ * Example usage:
+ *
+ * ```js
+ *
+ * const arc = bezierPoints(V2.multipleFromVals(
+ *     0, 0, // start
+ *     0, 5, // control
+ *     10, 5, // control
+ *     10, 0, // end
+ * ), 16)
+ *
+ * new PathTrajectory(clock, arc, {speed: 3})
+ *
+ * ```
+ *
+ * @param {Array<V2>} points The start point, then three points for each curve.
+ * @param {number} segments The number of segments each curve is sampled into.
+ * @returns {Array<V2>} The sampled points, including the start and end of each curve.
+ */
+function bezierPoints(points, segments = 16){
+    const sampled = [copyV2(points[0])]
+    for(let i = 0; i + 3 < points.length; i += 3){
+        const [p0, p1, p2, p3] = points.slice(i, i + 4)
+        for(let j = 1; j <= segments; j++){
+            const
+                t = j / segments,
+                s = 1 - t
+
+            sampled.push(
+                copyV2(p0).scale(s ** 3)
+                    .addScaled(p1, 3 * s ** 2 * t)
+                    .addScaled(p2, 3 * s * t ** 2)
+                    .addScaled(p3, t ** 3)
+            )
+        }
+    }
+    return sampled
+}
+
+/**
+ * Samples a Catmull-Rom spline into a polyline, which can be followed with a {@link PathTrajectory}.
+ *
+ * The spline passes through every point, curving smoothly between them.
+ * An open spline is extended past its ends by repeating the first and last points.
+ *
+ * @param {Array<V2>} points The points the spline passes through.
+ * @param {number} segments The number of segments between each pair of points.
+ * @param {Object} options
+ * @param {boolean} options.closed Whether the spline returns from the last point to the first. The first point is repeated at the end of the result.
+ * @returns {Array<V2>} The sampled points, including every point passed through.
+ */
+function catmullRomPoints(points, segments = 8, {closed = false} = {}){
+    const
+        count = points.length,
+        at = i => closed ? points[(i % count + count) % count] : points[Math.min(Math.max(i, 0), count - 1)],
+        spans = closed ? count : count - 1,
+        sampled = [copyV2(points[0])]
+
+    for(let i = 0; i < spans; i++){
+        const
+            p0 = at(i - 1),
+            p1 = at(i),
+            p2 = at(i + 1),
+            p3 = at(i + 2)
+
+        for(let j = 1; j <= segments; j++){
+            const t = j / segments
+
+            // the uniform Catmull-Rom basis
+            sampled.push(
+                copyV2(p0).scale((-(t ** 3) + 2 * t ** 2 - t) / 2)
+                    .addScaled(p1, (3 * t ** 3 - 5 * t ** 2 + 2) / 2)
+                    .addScaled(p2, (-3 * t ** 3 + 4 * t ** 2 + t) / 2)
+                    .addScaled(p3, (t ** 3 - t ** 2) / 2)
+            )
+        }
+    }
+    return sampled
+}
+
+export {bezierPoints, catmullRomPoints}
\ No newline at end of file
@@ -0,0 +1,172 @@
+import {Clock} from "../physics/timing/clock.mjs"
+import {World} from "../physics/world.mjs"
+import {Trajectory} from "../physics/trajectory.mjs"
+import {copyV2} from "../util/float64.mjs"
+
+/**
+ * A point along a predicted path.
+ *
+ * @typedef {Object} PredictedPose
+ * @property {number} time
+ * @property {Transform} transform The transform of the object at that time.
+ */
+
+/**
+ * A collision the predicted object is expected to be involved in.
+ *
+ * @typedef {Object} PredictedCollision
+ * @property {number} time
+ * @property {V2} pos Where the collision takes place, in world space.
+ * @property {PhysicsObject} other The object collided with, in the world being predicted rather than the sandbox.
+ * @property {CollisionRule} rule The rule which responded to the collision.
+ */
+
+/**
+ * The path of an object predicted by {@link predictPath}.
+ *
+ * @typedef {Object} PredictedPath
+ * @property {Array<PredictedPose>} poses
+ * The transform of the object at evenly spaced times from the current time to the horizon, along with the moment after each collision, in chronological order.
+ * @property {Array<PredictedCollision>} collisions The collisions the object is involved in, in chronological order.
+ */
+
+/**
+ * Predicts the path an object will take up to a horizon, including how it responds to collisions, without affecting the world.
+ *
+ * The prediction runs on a sandbox: a separate clock at the current time, with copies of the world's objects, groups, and rules.
+ * Geometries and tolerance profiles are shared with the world, since they aren't modified by simulation.
+ * Trajectories are copied as they currently are, along with their limits and damping,
+ * but changes scheduled on the world's clock, such as keyframes, rotations, and timers, aren't followed.
+ * Attachments between copied trajectories are kept.
+ *
+ * Rule callbacks often touch state outside the simulation, like scores or sound effects, so they aren't run in the sandbox.
+ * Instead, the callbacks run for each rule are given by `responses`.
+ * Rules without a response are left out of the sandbox, which is always safe for non-recalculating rules, since they can't change the path.
+ * Responses are called with collisions between sandbox objects, and should only modify the objects involved.
+ *
+ * Example usage:
+ *
+ * ```js
+ *
+ * const bounce = world.createRule(balls, walls, tolerances, collision => {
+ *     collision.resolve(0, 1, 0, 1)
+ *     playSound("bonk")
+ * })
+ *
+ * const {poses} = predictPath(world, ball, world.clock.time + 3, {
+ *     responses: new Map([[bounce, collision => collision.resolve(0, 1, 0, 1)]]),
+ * })
+ *
+ * drawLine(poses.map(({transform}) => transform.p))
+ *
+ * ```
+ *
+ * @param {World} world The world containing the object.
+ * @param {PhysicsObject} object The object whose path is predicted.
+ * @param {number} horizon The time up to which the path is predicted.
+ * @param {Object} options
+ * @param {Map<CollisionRule, function(Collision): void>} options.responses The callbacks run in the sandbox in place of each rule's own callback.
+ * @param {Iterable<PhysicsObject>} options.objects The objects copied into the sandbox. Defaults to every object in the world. The predicted object is always included.
+ * @param {number} options.samples The number of evenly spaced poses in the path, including the current time and the horizon.
+ * @returns {PredictedPath}
+ *
+ * @throws {RunToCycleLimitExceededError} if the sandbox exceeds the world clock's {@link Clock#runToCycleLimit} between two samples.
+ */
+function predictPath(world, object, horizon, {responses = new Map(), objects = world.objects.values(), samples = 32} = {}){
+    const
+        start = world.clock.time,
+        sandbox = new World(new Clock(world.clock.runToCycleLimit))
+    sandbox.clock.time = start
+
+    /** @type {Map<CollisionGroup, CollisionGroup>} */
+    const groups = new Map()
+    /** @type {Map<Trajectory, Trajectory>} */
+    const trajectories = new Map()
+    /** @type {Map<PhysicsObject, PhysicsObject>} */
+    const originals = new Map()
+
+    /** @type {PredictedPath} */
+    const path = {poses: [], collisions: []}
+
+    try{
+        let copy = null
+        for(const original of new Set([object, ...objects])){
+            for(const group of original.collisionGroups){
+                if(!groups.has(group)) groups.set(group, sandbox.createGroup())
+            }
+            if(!trajectories.has(original.trajectory)){
+                trajectories.set(original.trajectory, copyTrajectory(original.trajectory, sandbox.clock))
+            }
+
+            const sandboxObject = sandbox.createObject(
+                original.geometry,
+                [...original.collisionGroups].map(group => groups.get(group)),
+                trajectories.get(original.trajectory),
+                original.disabled,
+            )
+            originals.set(sandboxObject, original)
+            if(original == object) copy = sandboxObject
+        }
+
+        for(const [trajectory, sandboxTrajectory] of trajectories){
+            if(trajectories.has(trajectory.parent)) sandboxTrajectory.attach(trajectories.get(trajectory.parent))
+        }
+
+        for(const rule of world.rules.values()){
+            const response = responses.get(rule)
+            if(!response || !groups.has(rule.groupA) || !groups.has(rule.groupB) || !rule.groupA.collisionRulesA.has(rule)) continue
+
+            sandbox.createRule(groups.get(rule.groupA), groups.get(rule.groupB), rule.toleranceProfile, collision => {
+                response(collision)
+                if(collision.objA != copy && collision.objB != copy) return
+
+                path.collisions.push({
+                    time: collision.time,
+                    pos: copyV2(collision.pos),
+                    other: originals.get(collision.objA == copy ? collision.objB : collision.objA),
+                    rule,
+                })
+                path.poses.push({time: collision.time, transform: copy.trajectory.getTransform()})
+            }, rule.recalculating)
+        }
+
+        for(let i = 0; i < samples; i++){
+            const time = samples == 1 ? horizon : start + (horizon - start) * i / (samples - 1)
+            sandbox.clock.runTo(time)
+            path.poses.push({time, transform: copy.trajectory.getTransform()})
+        }
+    }finally{
+        // sandbox objects are registered with the world's geometries until they are discarded
+        sandbox.delete()
+    }
+
+    return path
+}
+
+/**
+ * Copies a trajectory onto another clock, as it is at the current time, along with its limits and damping.
+ *
+ * Limits are copied without {@link Trajectory#onClamp}, since it usually touches state outside the simulation.
+ *
+ * @param {Trajectory} trajectory
+ * @param {Clock} clock
+ * @returns {Trajectory}
+ */
+function copyTrajectory(trajectory, clock){
+    const copy = new Trajectory(clock, trajectory.getTransform(), trajectory.dampedMotion(), trajectory.float64)
+    copy.acceleration.set(trajectory.getAcceleration())
+    // damping is measured at the pivot, which outlives the rotation
+    if(trajectory.pivot) copy.pivot = copyV2(trajectory.pivot)
+
+    // setLimits would clamp the copied motion, which the original only does on its next change
+    copy.maxSpeed = trajectory.maxSpeed
+    copy.maxAngularRate = trajectory.maxAngularRate
+    copy.maxScaleRate = trajectory.maxScaleRate
+
+    if(trajectory.linearDamping != 0 || trajectory.angularDamping != 0){
+        copy.setDamping(trajectory.linearDamping, trajectory.angularDamping, {maxError: trajectory.maxDampingError})
+    }
+    return copy
+}
+
+export {predictPath}
\ No newline at end of file
@@ -0,0 +1,291 @@
+/**
+ * Advances a {@link Clock} against wall-clock time, once per animation frame.
+ *
+ * Each frame, the driver measures the real time elapsed since the previous frame, advances the clock by that much (scaled by {@link RealTimeDriver#timeScale}), and calls {@link RealTimeDriver#render}.
+ * The time advanced in a single frame is capped by {@link RealTimeDriver#maxCatchUp}, so a slow frame or a stall in the debugger doesn't trigger a long burst of simulation.
+ *
+ * If {@link RealTimeDriver#fixedStep} is set, the clock is instead advanced in fixed increments, with {@link RealTimeDriver#fixedUpdate} called before each one.
+ * Leftover time is carried over to the next frame, and the render callback receives how far the clock is into the next increment, which can be used to interpolate.
+ *
+ * By default, frames are requested with `requestAnimationFrame`, falling back to `setTimeout` outside the browser, and time is read from `performance.now()`.
+ * All three can be replaced, so the driver can run headless with a fake timer by calling {@link RealTimeDriver#tick} directly.
+ *
+ * Example usage:
+ *
+ * ```js
+ *
+ * const driver = new RealTimeDriver(clock, {
+ *     render: () => {
+ *         ctx.clearRect(0, 0, canvas.width, canvas.height)
+ *         ctx.beginPath()
+ *         renderer.draw(...objects)
+ *         ctx.stroke()
+ *     },
+ * })
+ *
+ * driver.start()
+ *
+ * ```
+ *
+ * Headless:
+ *
+ * ```js
+ *
+ * let now = 0
+ * const driver = new RealTimeDriver(clock, {now: () => now, requestFrame: () => 0, cancelFrame: () => {}})
+ *
+ * driver.start()
+ * now += 16
+ * driver.tick() // clock.time == 0.016
+ *
+ * ```
+ */
+class RealTimeDriver {
+    /**
+     * The clock being driven.
+     *
+     * @type {Clock}
+     */
+    clock
+    /**
+     * Called once per frame, after the clock is advanced.
+     *
+     * Receives the clock, and how far the clock is into the next fixed step as a fraction from 0 to 1, which is always 0 without {@link RealTimeDriver#fixedStep}.
+     *
+     * @type {(function(Clock, number): void) | null}
+     */
+    render
+    /**
+     * The increment by which the clock is advanced, in clock time, or 0 to advance it by the whole elapsed time each frame.
+     *
+     * @type {number}
+     */
+    fixedStep
+    /**
+     * Called before each fixed step, if {@link RealTimeDriver#fixedStep} is set.
+     *
+     * @type {(function(Clock): void) | null}
+     */
+    fixedUpdate
+    /**
+     * The units of clock time which pass per second of real time.
+     *
+     * @type {number}
+     */
+    timeScale
+    /**
+     * The maximum clock time advanced in a single frame.
+     *
+     * Any time beyond this is dropped, so the simulation falls behind real time instead of trying to catch up.
+     *
+     * @type {number}
+     */
+    maxCatchUp
+    /**
+     * Whether time stops passing while the page is hidden.
+     *
+     * @type {boolean}
+     */
+    pauseWhenHidden
+    /**
+     * Returns the current real time in milliseconds.
+     *
+     * @type {function(): number}
+     */
+    now
+    /**
+     * Requests that a callback be run on the next frame, returning a handle which can be passed to {@link RealTimeDriver#cancelFrame}.
+     *
+     * @type {function(function(): void): *}
+     */
+    requestFrame
+    /**
+     * Cancels a frame requested with {@link RealTimeDriver#requestFrame}.
+     *
+     * @type {function(*): void}
+     */
+    cancelFrame
+    /**
+     * Called with any error thrown by a frame, such as a {@link RunToCycleLimitExceededError}, after which the driver keeps running.
+     *
+     * Errors thrown by {@link RealTimeDriver#tick} when called directly aren't caught.
+     *
+     * @type {function(*): void}
+     */
+    onError
+    /**
+     * Whether the driver is running.
+     *
+     * This should not be modified directly.
+     * Use {@link RealTimeDriver#start} and {@link RealTimeDriver#stop}.
+     *
+     * @type {boolean}
+     */
+    running = false
+
+    /**
+     * The real time of the previous frame, or null if the next frame should start counting from scratch.
+     *
+     * This field is used internally by the driver and should not be accessed directly.
+     *
+     * @type {number | null}
+     */
+    lastTime = null
+    /**
+     * Clock time which has elapsed, but not yet been simulated because it is less than a fixed step.
+     *
+     * This field is used internally by the driver and should not be accessed directly.
+     *
+     * @type {number}
+     */
+    accumulator = 0
+    /**
+     * The handle of the requested frame, if any.
+     *
+     * This field is used internally by the driver and should not be accessed directly.
+     *
+     * @type {*}
+     */
+    frame = null
+
+    /**
+     * Creates a driver for a clock.
+     *
+     * The driver doesn't run until {@link RealTimeDriver#start} is called.
+     *
+     * @param {Clock} clock The clock being driven.
+     * @param {Object} options
+     * @param {?function(Clock, number): void} options.render See {@link RealTimeDriver#render}.
+     * @param {number} options.fixedStep See {@link RealTimeDriver#fixedStep}.
+     * @param {?function(Clock): void} options.fixedUpdate See {@link RealTimeDriver#fixedUpdate}.
+     * @param {number} options.timeScale See {@link RealTimeDriver#timeScale}.
+     * @param {number} options.maxCatchUp See {@link RealTimeDriver#maxCatchUp}.
+     * @param {boolean} options.pauseWhenHidden See {@link RealTimeDriver#pauseWhenHidden}.
+     * @param {function(): number} options.now See {@link RealTimeDriver#now}.
+     * @param {function(function(): void): *} options.requestFrame See {@link RealTimeDriver#requestFrame}.
+     * @param {function(*): void} options.cancelFrame See {@link RealTimeDriver#cancelFrame}.
+     * @param {function(*): void} options.onError See {@link RealTimeDriver#onError}. Logs the error with `console.error` by default.
+     */
+    constructor(clock, {
+        render = null,
+        fixedStep = 0,
+        fixedUpdate = null,
+        timeScale = 1,
+        maxCatchUp = 0.25,
+        pauseWhenHidden = true,
+        now = () => performance.now(),
+        requestFrame = globalThis.requestAnimationFrame
+            ? callback => requestAnimationFrame(callback)
+            : callback => setTimeout(callback, 1000 / 60),
+        cancelFrame = globalThis.cancelAnimationFrame
+            ? frame => cancelAnimationFrame(frame)
+            : frame => clearTimeout(frame),
+        onError = error => console.error(error),
+    } = {}){
+        this.clock = clock
+        this.render = render
+        this.fixedStep = fixedStep
+        this.fixedUpdate = fixedUpdate
+        this.timeScale = timeScale
+        this.maxCatchUp = maxCatchUp
+        this.pauseWhenHidden = pauseWhenHidden
+        this.now = now
+        this.requestFrame = requestFrame
+        this.cancelFrame = cancelFrame
+        this.onError = onError
+
+        this.onVisibilityChange = this.onVisibilityChange.bind(this)
+        this.loop = this.loop.bind(this)
+    }
+
+    /**
+     * Starts driving the clock.
+     *
+     * Time starts counting from the moment this is called.
+     * It is safe to start a driver which is already running.
+     */
+    start(){
+        if(this.running) return
+        this.running = true
+        this.lastTime = this.now()
+        globalThis.document?.addEventListener("visibilitychange", this.onVisibilityChange)
+        this.frame = this.requestFrame(this.loop)
+    }
+
+    /**
+     * Stops driving the clock.
+     *
+     * The clock keeps its current time, and no time passes until the driver is started again.
+     * It is safe to stop a driver which isn't running.
+     */
+    stop(){
+        if(!this.running) return
+        this.running = false
+        globalThis.document?.removeEventListener("visibilitychange", this.onVisibilityChange)
+        this.cancelFrame(this.frame)
+        this.frame = null
+    }
+
+    /**
+     * Advances the clock by the real time elapsed since the previous frame, and renders.
+     *
+     * This is called automatically each frame while the driver is running, but can also be called directly to drive the clock manually.
+     *
+     * @returns {number} The time of the clock afterward.
+     */
+    tick(){
+        const
+            now = this.now(),
+            hidden = this.pauseWhenHidden && globalThis.document?.hidden
+        const elapsed = this.lastTime === null || hidden
+            ? 0
+            : Math.min((now - this.lastTime) / 1000 * this.timeScale, this.maxCatchUp)
+        this.lastTime = hidden ? null : now
+
+        let alpha = 0
+        if(0 < this.fixedStep){
+            this.accumulator += elapsed
+            while(this.fixedStep <= this.accumulator){
+                this.accumulator -= this.fixedStep
+                if(this.fixedUpdate) this.fixedUpdate(this.clock)
+                this.clock.runTo(this.clock.time + this.fixedStep)
+            }
+            alpha = this.accumulator / this.fixedStep
+        }else{
+            this.clock.runTo(this.clock.time + elapsed)
+        }
+
+        if(this.render && !hidden) this.render(this.clock, alpha)
+
+        return this.clock.time
+    }
+
+    /**
+     * Runs one frame and requests the next.
+     *
+     * Errors are passed to {@link RealTimeDriver#onError} rather than thrown, since a throw from a `setTimeout` callback would end a Node process,
+     * and the next frame is still requested, so an error doesn't stop the driver.
+     *
+     * This method is used internally by the driver and should not be called directly.
+     */
+    loop(){
+        this.frame = null
+        try{
+            this.tick()
+        }catch(error){
+            this.onError(error)
+        }
+        if(this.running) this.frame = this.requestFrame(this.loop)
+    }
+
+    /**
+     * Discards the time spent hidden, so the clock resumes where it left off when the page becomes visible again.
+     *
+     * This method is used internally by the driver and should not be called directly.
+     */
+    onVisibilityChange(){
+        if(this.pauseWhenHidden) this.lastTime = null
+    }
+}
+
+export {RealTimeDriver}
\ No newline at end of file
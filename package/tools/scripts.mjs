@@ -0,0 +1,177 @@
+/**
+ * An error triggered when a script yields something which isn't a {@link ScriptWait}.
+ */
+class InvalidWaitError extends Error {
+    /**
+     * The value yielded.
+     *
+     * @type {*}
+     */
+    value
+
+    /**
+     * @param {*} value
+     */
+    constructor(value){
+        super(`Scripts can only yield waits, such as until(time), delay(duration), or nextCollision(object) (yielded: ${value}).`)
+        this.name = "InvalidWaitError"
+        this.value = value
+    }
+}
+
+/**
+ * A scripted sequence running on a {@link Clock}, written as a generator.
+ *
+ * Scripts are created with {@link runScript}.
+ * Each time the script yields a {@link ScriptWait}, it is suspended until the wait is over, and resumed from within the clock's cycle at exactly the right time.
+ *
+ * Generators are used instead of async functions because `await` always resumes on the microtask queue, after {@link Clock#runTo} has already returned.
+ * By then the clock may have run far past the awaited time, and the order of events would depend on how the clock was run.
+ * Resuming a generator is synchronous, so scripts run in step with the simulation and stay deterministic.
+ * Async functions can still be used with {@link Clock#until}, {@link Clock#nextCollision}, or {@link Clock#waitFor}, as long as the clock is run with {@link Clock#runToAsync}.
+ *
+ * Scripts don't support {@link Clock#rollback}.
+ */
+class Script {
+    /**
+     * The clock the script runs on.
+     *
+     * @type {Clock}
+     */
+    clock
+    /**
+     * The generator being run.
+     *
+     * This field is used internally by the script and should not be accessed directly.
+     *
+     * @type {Generator<ScriptWait, *, *>}
+     */
+    generator
+    /**
+     * Whether the script has finished or been canceled.
+     *
+     * @type {boolean}
+     */
+    done = false
+    /**
+     * The value returned by the script, once it finishes.
+     *
+     * @type {*}
+     */
+    result = undefined
+    /**
+     * Stops the current wait, if the script is waiting.
+     *
+     * This field is used internally by the script and should not be accessed directly.
+     *
+     * @type {(function(): void) | null}
+     */
+    stopWaiting = null
+
+    /**
+     * Starts running a generator as a script.
+     *
+     * This constructor is used internally and should not be called directly.
+     * Instead, use {@link runScript}.
+     *
+     * @param {Clock} clock
+     * @param {Generator<ScriptWait, *, *>} generator
+     */
+    constructor(clock, generator){
+        this.clock = clock
+        this.generator = generator
+    }
+
+    /**
+     * Stops the script.
+     *
+     * The script's current wait is stopped, and its `finally` blocks are run.
+     *
+     * It is safe to cancel a script multiple times.
+     */
+    cancel(){
+        if(this.done) return
+        this.done = true
+        if(this.stopWaiting) this.stopWaiting()
+        this.stopWaiting = null
+        this.generator.return(undefined)
+    }
+
+    /**
+     * Resumes the script until it next yields or finishes.
+     *
+     * This method is used internally by the script and should not be called directly.
+     *
+     * @param {*} value The value the script's `yield` evaluates to.
+     *
+     * @throws {InvalidWaitError} if the script yields something which isn't a {@link ScriptWait}.
+     */
+    resume(value){
+        this.stopWaiting = null
+
+        let result = null
+        try{
+            result = this.generator.next(value)
+        }finally{
+            // scripts which throw are finished too
+            if(!result || result.done) this.done = true
+        }
+        if(result.done){
+            this.result = result.value
+            return
+        }
+
+        const wait = result.value
+        if(typeof wait != "function"){
+            this.cancel()
+            throw new InvalidWaitError(wait)
+        }
+
+        let resumed = false
+        this.stopWaiting = wait(this.clock, value => {
+            if(resumed || this.done) return
+            resumed = true
+            this.resume(value)
+        })
+    }
+}
+
+/**
+ * Runs a generator function as a {@link Script} on a clock.
+ *
+ * The script starts immediately, at the clock's current time, and runs until it first yields.
+ * Errors thrown by the script propagate out of whatever resumed it, usually {@link Clock#runTo}.
+ *
+ * Example usage:
+ *
+ * ```js
+ *
+ * runScript(clock, function*(){
+ *     yield until(5)
+ *     door.trajectory.setVel(V2.new(0, 1))
+ *
+ *     const collision = yield nextCollision(door)
+ *     door.trajectory.setVel(V2.zero())
+ *
+ *     yield delay(2)
+ *     console.log(`The door closed at ${collision.time}, and reopened at ${clock.time}.`)
+ * })
+ *
+ * clock.runTo(20)
+ *
+ * ```
+ *
+ * @param {Clock} clock The clock the script runs on.
+ * @param {function(...*): Generator<ScriptWait, *, *>} script The generator function to run.
+ * @param {...*} args Arguments passed to the generator function.
+ * @returns {Script} The running script, which can be canceled with {@link Script#cancel}.
+ *
+ * @throws {InvalidWaitError} if the script yields something which isn't a {@link ScriptWait}.
+ */
+function runScript(clock, script, ...args){
+    const running = new Script(clock, script(...args))
+    running.resume(undefined)
+    return running
+}
+
+export {Script, runScript, InvalidWaitError}
\ No newline at end of file
@@ -0,0 +1,331 @@
+import {Transform} from "@darcyvilkner/2d-geometry"
+import {Clock} from "../physics/timing/clock.mjs"
+import {World} from "../physics/world.mjs"
+import {PhysicsObject} from "../physics/physics-object.mjs"
+import {Trajectory} from "../physics/trajectory.mjs"
+import {Geometry} from "../physics/geometry/geometry.mjs"
+import {Vertex} from "../physics/geometry/vertex.mjs"
+import {Edge} from "../physics/geometry/edge.mjs"
+import {float64Transform, newV2} from "../util/float64.mjs"
+import {CollisionGroup} from "../physics/collisions/collision-group.mjs"
+import {CollisionRule} from "../physics/collisions/collision-rule.mjs"
+import {ToleranceProfile} from "../physics/collisions/tolerance-profile.mjs"
+
+/**
+ * An error triggered when a collision rule's callback can't be found in the registry provided to {@link saveWorld} or {@link loadWorld}.
+ */
+class UnregisteredCallbackError extends Error {
+    /**
+     * The name of the missing callback, if known.
+     *
+     * @type {string | undefined}
+     */
+    callbackName
+
+    /**
+     * @param {string | undefined} callbackName
+     */
+    constructor(callbackName){
+        super(
+            callbackName === undefined
+                ? `A collision rule's callback is not in the registry. Every rule callback must be registered under a name to be saved.`
+                : `No callback named "${callbackName}" is in the registry.`
+        )
+        this.name = "UnregisteredCallbackError"
+        this.callbackName = callbackName
+    }
+}
+
+/**
+ * An error triggered when a saved world references a collision group or tolerance profile that the world doesn't track.
+ */
+class UntrackedReferenceError extends Error {
+    /**
+     * The untracked item.
+     *
+     * @type {CollisionGroup | ToleranceProfile}
+     */
+    item
+
+    /**
+     * @param {CollisionGroup | ToleranceProfile} item
+     */
+    constructor(item){
+        super(`A ${item.constructor.name} referenced by the world is not tracked by it. Add it with World#add${item instanceof CollisionGroup ? "Group" : "ToleranceProfile"} before saving.`)
+        this.name = "UntrackedReferenceError"
+        this.item = item
+    }
+}
+
+/**
+ * Serializes the complete state of a {@link World} into a JSON-compatible object, which can be restored with {@link loadWorld}.
+ *
+ * The snapshot includes:
+ * - The clock's time and cycle.
+ * - Every tracked object, along with its {@link Geometry}, {@link Trajectory}, collision groups, and whether it is disabled.
+ *   Trajectories are saved as they are at the clock's time, along with any rotation, their limits, and their damping.
+ *   Keyframe and path trajectories are saved as plain trajectories, so they stop following their keyframes once loaded.
+ * - Every tracked collision group, collision rule, and tolerance profile, under their ids.
+ *
+ * Geometries and trajectories shared between objects stay shared once loaded.
+ *
+ * Callbacks can't be serialized, so collision rules store the name their callback is registered under in `registry`.
+ * {@link Trajectory#onClamp} isn't saved, and has to be set again once loaded.
+ * Events scheduled directly on the clock (including loops) are not saved, and collision events are recalculated on load.
+ *
+ * Example usage:
+ *
+ * ```js
+ *
+ * const registry = new Map([
+ *     ["bounce", collision => collision.resolve(0, 1, 0, 1)],
+ * ])
+ *
+ * const json = JSON.stringify(saveWorld(world, registry))
+ *
+ * // Later
+ *
+ * const restored = loadWorld(JSON.parse(json), registry)
+ *
+ * ```
+ *
+ * @param {World} world The world being saved.
+ * @param {Map<string, function(Collision): void>} registry Names for every collision rule callback in the world.
+ * @returns {Object} A JSON-compatible snapshot of the world.
+ *
+ * @throws {UnregisteredCallbackError} if a rule's callback isn't in the registry.
+ * @throws {UntrackedReferenceError} if a tracked item references a group or tolerance profile that the world doesn't track.
+ */
+function saveWorld(world, registry){
+    /** @type {Map<function(Collision): void, string>} */
+    const names = new Map()
+    for(const [name, callback] of registry){
+        names.set(callback, name)
+    }
+
+    /**
+     * @param {CollisionGroup | ToleranceProfile} item
+     * @returns {number}
+     */
+    function idOf(item){
+        const id = world.idOf(item)
+        if(id === undefined) throw new UntrackedReferenceError(item)
+        return id
+    }
+
+    /** @type {Map<Geometry, number>} */
+    const geometryIndices = new Map()
+    /** @type {Map<Trajectory, number>} */
+    const trajectoryIndices = new Map()
+    const
+        geometries = [],
+        trajectories = [],
+        objects = []
+
+    for(const [id, object] of world.objects){
+        if(!geometryIndices.has(object.geometry)){
+            geometryIndices.set(object.geometry, geometries.length)
+            geometries.push(saveGeometry(object.geometry))
+        }
+        if(!trajectoryIndices.has(object.trajectory)){
+            trajectoryIndices.set(object.trajectory, trajectories.length)
+            trajectories.push(saveTrajectory(object.trajectory))
+        }
+        objects.push({
+            id,
+            geometry: geometryIndices.get(object.geometry),
+            trajectory: trajectoryIndices.get(object.trajectory),
+            groups: [...object.collisionGroups].map(idOf),
+            disabled: object.disabled,
+        })
+    }
+
+    const rules = []
+    for(const [id, rule] of world.rules){
+        if(!names.has(rule.callback)) throw new UnregisteredCallbackError(undefined)
+        rules.push({
+            id,
+            groupA: idOf(rule.groupA),
+            groupB: idOf(rule.groupB),
+            toleranceProfile: idOf(rule.toleranceProfile),
+            callback: names.get(rule.callback),
+            recalculating: rule.recalculating,
+            enabled: rule.groupA.collisionRulesA.has(rule),
+        })
+    }
+
+    return {
+        clock: {
+            time: world.clock.time,
+            cycle: world.clock.cycle,
+            runToCycleLimit: world.clock.runToCycleLimit,
+        },
+        nextId: world.nextId,
+        toleranceProfiles: [...world.toleranceProfiles].map(([id, toleranceProfile]) => ({
+            id,
+            closeCollisionThresh: toleranceProfile.closeCollisionThresh,
+            directionalTolerance: toleranceProfile.directionalTolerance,
+        })),
+        groups: [...world.groups.keys()].map(id => ({id})),
+        rules,
+        geometries,
+        trajectories,
+        objects,
+    }
+}
+
+/**
+ * Restores a {@link World} from a snapshot created by {@link saveWorld}.
+ *
+ * A new clock is created at the saved time and cycle, and all items are tracked under the same ids they were saved with.
+ * Collision rules are bound to the callbacks registered under their saved names.
+ *
+ * @param {Object} snapshot A snapshot created by {@link saveWorld}.
+ * @param {Map<string, function(Collision): void>} registry The callbacks for every collision rule in the snapshot, keyed by name.
+ * @returns {World} The restored world.
+ *
+ * @throws {UnregisteredCallbackError} if a saved rule's callback name isn't in the registry.
+ */
+function loadWorld(snapshot, registry){
+    const clock = new Clock(snapshot.clock.runToCycleLimit)
+    clock.time = snapshot.clock.time
+    clock.cycle = snapshot.clock.cycle
+
+    const world = new World(clock)
+
+    for(const {id, closeCollisionThresh, directionalTolerance} of snapshot.toleranceProfiles){
+        world.addToleranceProfile(new ToleranceProfile(closeCollisionThresh, directionalTolerance), id)
+    }
+    for(const {id} of snapshot.groups){
+        world.addGroup(new CollisionGroup(), id)
+    }
+    for(const {id, groupA, groupB, toleranceProfile, callback, recalculating, enabled} of snapshot.rules){
+        if(!registry.has(callback)) throw new UnregisteredCallbackError(callback)
+        const rule = new CollisionRule(
+            world.groups.get(groupA),
+            world.groups.get(groupB),
+            world.toleranceProfiles.get(toleranceProfile),
+            registry.get(callback),
+            recalculating,
+        )
+        if(!enabled) rule.disable()
+        world.addRule(rule, id)
+    }
+
+    const
+        geometries = snapshot.geometries.map(loadGeometry),
+        trajectories = snapshot.trajectories.map(saved => loadTrajectory(saved, clock))
+
+    for(const {id, geometry, trajectory, groups, disabled} of snapshot.objects){
+        world.addObject(new PhysicsObject(
+            clock,
+            geometries[geometry],
+            groups.map(group => world.groups.get(group)),
+            trajectories[trajectory],
+            disabled,
+        ), id)
+    }
+
+    world.nextId = snapshot.nextId
+
+    return world
+}
+
+/**
+ * @param {Geometry} geometry
+ */
+function saveGeometry(geometry){
+    return {
+        vertices: geometry.vertices.map(({p, t0, t1}) => [p.x, p.y, t0.x, t0.y, t1.x, t1.y]),
+        edges: geometry.edges.map(({p0, p1}) => [p0.x, p0.y, p1.x, p1.y]),
+        bounds: [geometry.minX, geometry.maxX, geometry.minY, geometry.maxY],
+        float64: geometry.float64,
+    }
+}
+
+/**
+ * @param {Object} saved
+ * @returns {Geometry}
+ */
+function loadGeometry(saved){
+    const vec = (x, y) => newV2(saved.float64 ?? false, x, y)
+    return new Geometry(
+        saved.vertices.map(([px, py, t0x, t0y, t1x, t1y]) => new Vertex(vec(px, py), vec(t0x, t0y), vec(t1x, t1y))),
+        saved.edges.map(([x0, y0, x1, y1]) => new Edge(vec(x0, y0), vec(x1, y1))),
+        ...saved.bounds,
+    )
+}
+
+/**
+ * @param {Trajectory} trajectory
+ */
+function saveTrajectory(trajectory){
+    const
+        {rotationEvent} = trajectory,
+        damped = trajectory.linearDamping != 0 || trajectory.angularDamping != 0
+    return {
+        // saved as it is now, since rotation and damping replace their own motion and acceleration
+        base: saveTransform(trajectory.rotatedTransform()),
+        motion: saveTransform(trajectory.dampedMotion()),
+        acceleration: saveTransform(trajectory.getAcceleration()),
+        time: trajectory.clock.time,
+        float64: trajectory.float64,
+        pivot: trajectory.pivot && [trajectory.pivot.x, trajectory.pivot.y],
+        rotation: rotationEvent
+            ? {
+                angularVelocity: trajectory.presentAngularVelocity(),
+                // JSON can't hold Infinity, so open-ended rotations have no duration
+                duration: trajectory.rotationSegments == Infinity
+                    ? null
+                    : rotationEvent.time - trajectory.clock.time + trajectory.rotationSegments * trajectory.rotationStep,
+                maxError: trajectory.maxAngularError,
+            }
+            : null,
+        // JSON can't hold Infinity, so missing limits are null
+        limits: trajectory.limited
+            ? [trajectory.maxSpeed, trajectory.maxAngularRate, trajectory.maxScaleRate].map(limit => limit == Infinity ? null : limit)
+            : null,
+        damping: damped
+            ? {linear: trajectory.linearDamping, angular: trajectory.angularDamping, maxError: trajectory.maxDampingError}
+            : null,
+    }
+}
+
+/**
+ * @param {Object} saved
+ * @param {Clock} clock
+ * @returns {Trajectory}
+ */
+function loadTrajectory(saved, clock){
+    const
+        float64 = saved.float64 ?? false,
+        transform = float64 ? float64Transform : Transform.new,
+        trajectory = new Trajectory(clock, transform(...saved.base), transform(...saved.motion), float64)
+    if(saved.acceleration) trajectory.acceleration.set(transform(...saved.acceleration))
+    trajectory.time = saved.time
+    if(saved.pivot) trajectory.pivot = newV2(float64, ...saved.pivot)
+    if(saved.limits){
+        // set directly, since setLimits would clamp the saved motion, which the original only does on its next change
+        [trajectory.maxSpeed, trajectory.maxAngularRate, trajectory.maxScaleRate] = saved.limits.map(limit => limit ?? Infinity)
+    }
+    if(saved.rotation){
+        const {angularVelocity, duration, maxError} = saved.rotation
+        if(duration === null) trajectory.setAngularVelocity(angularVelocity, trajectory.pivot, {maxError})
+        else trajectory.rotateAbout(angularVelocity * duration, trajectory.pivot, duration, {maxError})
+    }
+    if(saved.damping){
+        const {linear, angular, maxError} = saved.damping
+        trajectory.setDamping(linear, angular, {maxError})
+    }
+    return trajectory
+}
+
+/**
+ * @param {Transform} transform
+ * @returns {Array<number>}
+ */
+function saveTransform(transform){
+    return [transform.a.x, transform.a.y, transform.b.x, transform.b.y, transform.p.x, transform.p.y]
+}
+
+export {saveWorld, loadWorld, UnregisteredCallbackError, UntrackedReferenceError}
\ No newline at end of file
@@ -1,4 +1,5 @@
 import {ClockEvent} from "../physics/timing/event.mjs"
+import {Timer} from "../physics/timing/timer.mjs"
 
 /**
  * Schedules a callback on a {@link Clock}.
@@ -8,10 +9,11 @@ import {ClockEvent} from "../physics/timing/event.mjs"
  * @param {Clock} clock The clock being scheduled on.
  * @param {number} time The time at which the callback will be executed.
  * @param {function(Clock): void} callback The callback to be executed.
+ * @param {number} priority Breaks ties with other events at the same time. See {@link ClockEvent#priority}.
  * @returns {ClockEvent} The event generated, which can be canceled with {@link cancel}
  */
-function schedule(clock, time, callback){
-    const event = new ClockEvent(time, callback)
+function schedule(clock, time, callback, priority = 0){
+    const event = new ClockEvent(time, callback, true, priority)
     clock.schedule(event)
 
     return event
@@ -30,8 +32,15 @@ function cancel(event){
     event.valid = false
 }
 
-/** @type {Set<number>} */
-const loops = new Set()
+/**
+ * The timer running each loop scheduled with {@link scheduleLoop}, keyed by id.
+ *
+ * Loops are removed once they finish or are canceled with {@link cancelLoop}.
+ * Loops canceled by {@link Clock#cancelTimers} are removed the next time a loop is scheduled.
+ *
+ * @type {Map<number, Timer>}
+ */
+const loops = new Map()
 
 let id = 0
 
@@ -39,28 +48,26 @@ let id = 0
  * Schedules a callback to be periodically run on a {@link Clock}.
  *
  * Can be stopped by passing the id returned by this function into {@link cancelLoop}.
+ * The loop is run by a {@link Timer}, so it is also canceled by {@link Clock#cancelTimers}.
+ * For a handle which can be paused, resumed, or have its period changed, create a {@link Timer} directly.
+ *
+ * If the start time has already passed, the callback is first run at the current time, and the delay is counted from there.
  * 
  * @param {Clock} clock The clock the events are being scheduled on.
  * @param {number} startTime The time at which the callback is run for the first time.
  * @param {number} delay The delay between each iteration.
- * @param {function(Clock): void} callback The callback being periodically run.
+ * @param {function(Clock, Timer): void} callback The callback being periodically run.
+ * @param {number} count The number of times the callback is run before the loop stops. Runs until canceled by default.
  * @returns {number} An id associated with this loop used for cancelling.
  */
-function scheduleLoop(clock, startTime, delay, callback){
-    const thisId = id
-    loops.add(thisId)
-    id++
-
-    function iteration(time) {
-        schedule(clock, time, clock => {
-            if (!loops.has(thisId)) return
-
-            callback(clock)
-            iteration(time + delay)
-        })
+function scheduleLoop(clock, startTime, delay, callback, count = Infinity){
+    for(const [loopId, timer] of loops){
+        if(!timer.active) forgetLoop(loopId, timer)
     }
 
-    iteration(startTime)
+    const thisId = id++
+    const timer = new Timer(clock, startTime, delay, callback, {count, onFinish: () => forgetLoop(thisId, timer)})
+    if(timer.active) loops.set(thisId, timer)
 
     return thisId
 }
@@ -68,11 +75,30 @@ function scheduleLoop(clock, startTime, delay, callback){
 /**
  * Cancels a loop scheduled with {@link scheduleLoop}.
  *
+ * It is safe to cancel a loop multiple times.
+ *
  * @param {number} id
  * The id of the loop being canceled.
  * Returned from {@link scheduleLoop}.
  */
 function cancelLoop(id){
+    const timer = loops.get(id)
+    if(!timer) return
+    timer.cancel()
+    forgetLoop(id, timer)
+}
+
+/**
+ * Removes a loop which has finished or been canceled from {@link loops}.
+ *
+ * A rollback to before the loop ended adds it back, so that it can still be canceled.
+ * Since the timer journals itself, its `onFinish` callback, which is unique to the loop, is journaled for it instead.
+ *
+ * @param {number} id
+ * @param {Timer} timer
+ */
+function forgetLoop(id, timer){
+    timer.clock.journal(timer.onFinish, () => () => loops.set(id, timer))
     loops.delete(id)
 }
 
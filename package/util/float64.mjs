@@ -0,0 +1,95 @@
+import {Transform} from "@darcyvilkner/2d-geometry"
+import {V2} from "@darcyvilkner/2d-geometry"
+
+/*
+ * Transform and V2 store their components in a Float32Array named `arr`, and every operation reads and writes through it.
+ * Backing them with a Float64Array instead gives double precision to every operation performed in place.
+ * Operations which allocate (such as `copy` and `xy`) always produce single-precision results,
+ * so the helpers here should be used instead wherever double precision must be preserved.
+ */
+
+/**
+ * Creates a {@link V2} backed by a Float64Array.
+ *
+ * @param {number} x
+ * @param {number} y
+ * @returns {V2}
+ */
+function float64V2(x = 0, y = 0){
+    const v2 = new V2()
+    v2.arr = new Float64Array([x, y])
+    return v2
+}
+
+/**
+ * Creates a {@link Transform} backed by a Float64Array.
+ *
+ * @param {number} ax
+ * @param {number} ay
+ * @param {number} bx
+ * @param {number} by
+ * @param {number} px
+ * @param {number} py
+ * @returns {Transform}
+ */
+function float64Transform(ax = 0, ay = 0, bx = 0, by = 0, px = 0, py = 0){
+    const transform = new Transform()
+    transform.arr = new Float64Array([ax, ay, bx, by, px, py])
+    transform.a = new V2()
+    transform.a.arr = transform.arr.subarray(0, 2)
+    transform.b = new V2()
+    transform.b.arr = transform.arr.subarray(2, 4)
+    transform.p = new V2()
+    transform.p.arr = transform.arr.subarray(4, 6)
+    return transform
+}
+
+/**
+ * Returns whether a vector or transform is backed by a Float64Array.
+ *
+ * @param {V2 | Transform} item
+ * @returns {boolean}
+ */
+function isFloat64(item){
+    return item.arr instanceof Float64Array
+}
+
+/**
+ * Copies a vector, with double precision if requested.
+ *
+ * @param {V2} v2
+ * @param {boolean} float64 Whether the copy is backed by a Float64Array. Defaults to the precision of the original.
+ * @returns {V2}
+ */
+function copyV2(v2, float64 = isFloat64(v2)){
+    return float64 ? float64V2(v2.arr[0], v2.arr[1]) : V2.new(v2)
+}
+
+/**
+ * Copies a transform, with double precision if requested.
+ *
+ * @param {Transform} transform
+ * @param {boolean} float64 Whether the copy is backed by a Float64Array. Defaults to the precision of the original.
+ * @returns {Transform}
+ */
+function copyTransform(transform, float64 = isFloat64(transform)){
+    return float64 ? float64Transform(...transform.arr) : transform.copy()
+}
+
+/**
+ * Constructs a vector from any arguments accepted by {@link V2#new}, with double precision if requested.
+ *
+ * Numbers and vectors are copied exactly, without first being rounded to single precision.
+ *
+ * @param {boolean} float64
+ * @param {...VectorConstructionType} args
+ * @returns {V2}
+ */
+function newV2(float64, ...args){
+    if(!float64) return V2.new(...args)
+    if(args[0] instanceof V2) return float64V2(args[0].arr[0], args[0].arr[1])
+    if(typeof args[0] == "number") return float64V2(args[0], args[1] ?? args[0])
+    return copyV2(V2.new(...args), true)
+}
+
+export {float64V2, float64Transform, isFloat64, copyV2, copyTransform, newV2}
\ No newline at end of file
@@ -0,0 +1,152 @@
+/*
+ * Polynomials are represented as arrays of coefficients, starting from the constant term.
+ * For example, [c, b, a] represents a * x ** 2 + b * x + c.
+ */
+
+/**
+ * Returns the degree of a polynomial, ignoring leading coefficients of zero, or -1 if every coefficient is zero.
+ *
+ * @param {Array<number>} poly
+ * @returns {number}
+ */
+function degree(poly){
+    let deg = poly.length - 1
+    while(0 <= deg && poly[deg] == 0) deg--
+    return deg
+}
+
+/**
+ * @param {Array<number>} poly
+ * @param {number} x
+ * @returns {number}
+ */
+function evaluate(poly, x){
+    let value = 0
+    for(let i = poly.length - 1; 0 <= i; i--){
+        value = value * x + poly[i]
+    }
+    return value
+}
+
+/**
+ * @param {Array<number>} poly
+ * @returns {Array<number>}
+ */
+function derivative(poly){
+    return poly.slice(1).map((coefficient, i) => coefficient * (i + 1))
+}
+
+/**
+ * Finds the real roots of a polynomial within a range, in ascending order.
+ *
+ * Roots of polynomials up to degree two are found in closed form.
+ * Higher degrees are split into monotonic pieces at the roots of the derivative, and each piece is bisected down to the precision of a float.
+ *
+ * Polynomials which are zero everywhere are considered to have no roots.
+ *
+ * @param {Array<number>} poly
+ * @param {number} min
+ * @param {number} max
+ * @returns {Array<number>}
+ */
+function roots(poly, min = -Infinity, max = Infinity){
+    return findRoots(poly, min, max, false)
+}
+
+/**
+ * Finds the real roots of a polynomial within a range at which it goes from negative to positive, in ascending order.
+ *
+ * Roots where the polynomial only touches zero are included if it is non-decreasing there.
+ *
+ * @param {Array<number>} poly
+ * @param {number} min
+ * @param {number} max
+ * @returns {Array<number>}
+ */
+function increasingRoots(poly, min = -Infinity, max = Infinity){
+    return findRoots(poly, min, max, true)
+}
+
+/**
+ * @param {Array<number>} poly
+ * @param {number} min
+ * @param {number} max
+ * @param {boolean} increasing Whether to only find roots where the polynomial goes from negative to positive.
+ * @returns {Array<number>}
+ */
+function findRoots(poly, min, max, increasing){
+    const
+        deg = degree(poly),
+        inRange = x => min <= x && x <= max
+
+    if(deg <= 0) return []
+
+    if(deg == 1){
+        const [c, b] = poly
+        if(increasing && b < 0) return []
+        return [-c / b].filter(inRange)
+    }
+
+    if(deg == 2){
+        const
+            [c, b, a] = poly,
+            disc = b ** 2 - 4 * a * c
+
+        if(disc < 0) return []
+
+        // the root at which the derivative is +sqrt(disc), in whichever form avoids cancellation
+        const rising = b < 0
+            ? (-b + Math.sqrt(disc)) / (2 * a)
+            : 2 * c / (-b - Math.sqrt(disc))
+        if(increasing) return [rising].filter(inRange)
+
+        // the standard pair of stable forms, which both divide by q
+        const q = -(b + (b < 0 ? -1 : 1) * Math.sqrt(disc)) / 2
+        if(q == 0) return [0].filter(inRange)
+        return [q / a, c / q].filter(inRange).sort((x, y) => x - y)
+    }
+
+    // all roots lie within the Cauchy bound
+    let bound = 0
+    for(let i = 0; i < deg; i++){
+        bound = Math.max(bound, Math.abs(poly[i] / poly[deg]))
+    }
+    min = Math.max(min, -1 - bound)
+    max = Math.min(max, 1 + bound)
+    if(max < min) return []
+
+    const
+        points = [min, ...findRoots(derivative(poly), min, max, false), max],
+        found = []
+
+    for(let i = 0; i < points.length - 1; i++){
+        let
+            lo = points[i],
+            hi = points[i + 1]
+        const
+            fLo = evaluate(poly, lo),
+            fHi = evaluate(poly, hi)
+
+        if((0 < fLo) == (0 < fHi) && fLo != 0 && fHi != 0) continue
+        if(increasing && fHi < fLo) continue
+
+        // bisect, keeping the root between lo and hi
+        const rising = fLo < fHi
+        while(true){
+            const mid = lo + (hi - lo) / 2
+            if(mid == lo || mid == hi) break
+            if((evaluate(poly, mid) < 0) == rising){
+                lo = mid
+            }else{
+                hi = mid
+            }
+        }
+        const root = fLo == 0 ? points[i] : fHi == 0 ? points[i + 1] : hi
+
+        if(found[found.length - 1] != root) found.push(root)
+    }
+
+    return found
+}
+
+export {degree, evaluate, derivative, roots, increasingRoots}
\ No newline at end of file